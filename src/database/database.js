@@ -0,0 +1,301 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+let db = null;
+
+const TIMESTAMP_COLUMNS = ['extracted_at', 'updated_at', 'created_at', 'attempted_at', 'last_attempt_at', 'next_retry_at'];
+
+// Open (or create) the SQLite file, the schema comes from migrations
+function initDatabase(filename) {
+  if (db) return db;
+
+  if (filename !== ':memory:') {
+    fs.mkdirSync(path.dirname(path.resolve(filename)), { recursive: true });
+  }
+
+  db = new Database(filename);
+  db.pragma('journal_mode = WAL');
+  // SQLite leaves foreign keys off by default, ON DELETE CASCADE needs them
+  db.pragma('foreign_keys = ON');
+
+  return db;
+}
+
+function getDb() {
+  if (!db) {
+    throw new Error('SQLite database not initialized');
+  }
+  return db;
+}
+
+function closeDatabase() {
+  if (db) {
+    db.close();
+    db = null;
+  }
+}
+
+// Connection adapter for the Migrator
+function getMigrationAdapter() {
+  const database = getDb();
+
+  return {
+    type: 'sqlite',
+    exec: sql => database.exec(sql),
+    query: (sql, params = []) => {
+      const statement = database.prepare(sql);
+      if (statement.reader) {
+        return statement.all(...params);
+      }
+      statement.run(...params);
+      return [];
+    },
+  };
+}
+
+// Shape SQLite rows like pg rows: Date timestamps and real booleans
+function mapRow(row) {
+  if (!row) return row;
+
+  const mapped = { ...row };
+  TIMESTAMP_COLUMNS.forEach(column => {
+    if (typeof mapped[column] === 'string') {
+      // CURRENT_TIMESTAMP is UTC without a zone designator
+      mapped[column] = new Date(`${mapped[column].replace(' ', 'T')}Z`);
+    }
+  });
+
+  if ('success' in mapped) {
+    mapped.success = !!mapped.success;
+  }
+
+  // JSON columns are TEXT in SQLite
+  if (typeof mapped.logo_colors === 'string') {
+    mapped.logo_colors = JSON.parse(mapped.logo_colors);
+  }
+
+  return mapped;
+}
+
+// better-sqlite3 only binds numbers, strings, bigints, buffers and null
+function toSqlValue(value) {
+  if (value === undefined) return null;
+  if (value instanceof Date) return value.toISOString().replace('T', ' ').slice(0, 19);
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  return value;
+}
+
+const logoBlobsDb = {
+  save(companyId, variant, data, contentType) {
+    getDb().prepare(`
+      INSERT INTO logo_blobs (company_id, variant, data, content_type, size)
+      VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT (company_id, variant)
+      DO UPDATE SET data = excluded.data, content_type = excluded.content_type,
+                    size = excluded.size, created_at = CURRENT_TIMESTAMP
+    `).run(companyId, variant, data, contentType || 'application/octet-stream', data.length);
+  },
+
+  delete(companyId, variant) {
+    return getDb()
+      .prepare('DELETE FROM logo_blobs WHERE company_id = ? AND variant = ?')
+      .run(companyId, variant).changes > 0;
+  },
+
+  get(companyId, variant = 'original') {
+    const row = getDb()
+      .prepare('SELECT data, content_type, size FROM logo_blobs WHERE company_id = ? AND variant = ?')
+      .get(companyId, variant);
+
+    if (!row) return null;
+
+    return {
+      buffer: row.data,
+      contentType: row.content_type,
+      size: row.size,
+    };
+  },
+};
+
+const companyDb = {
+  create(companyData) {
+    const insert = getDb().prepare(`
+      INSERT INTO companies (name, domain, logo_url, storage_provider, storage_key, storage_delete_url, logo_format, logo_size, logo_width, logo_height, logo_hash, name_source)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT (domain) DO UPDATE SET
+        -- A guess from the domain never replaces a name read from the site
+        name = CASE
+          WHEN excluded.name_source = 'domain' AND companies.name_source IS NOT 'domain' THEN companies.name
+          ELSE excluded.name
+        END,
+        name_source = CASE
+          WHEN excluded.name_source = 'domain' AND companies.name_source IS NOT 'domain' THEN companies.name_source
+          ELSE excluded.name_source
+        END,
+        logo_url = excluded.logo_url,
+        storage_provider = excluded.storage_provider,
+        storage_key = excluded.storage_key,
+        storage_delete_url = excluded.storage_delete_url,
+        logo_format = excluded.logo_format,
+        logo_size = excluded.logo_size,
+        logo_width = excluded.logo_width,
+        logo_height = excluded.logo_height,
+        logo_hash = excluded.logo_hash,
+        extracted_at = CURRENT_TIMESTAMP,
+        updated_at = CURRENT_TIMESTAMP
+      RETURNING *
+    `);
+
+    // Company row and its inline logo bytes are written together
+    const createWithBlob = getDb().transaction(() => {
+      const company = insert.get(
+        companyData.name,
+        companyData.domain,
+        companyData.logo_url ?? null,
+        companyData.storage_provider ?? null,
+        companyData.storage_key ?? null,
+        companyData.storage_delete_url ?? null,
+        companyData.logo_format ?? null,
+        companyData.logo_size ?? null,
+        companyData.logo_width ?? null,
+        companyData.logo_height ?? null,
+        companyData.logo_hash ?? null,
+        companyData.name_source ?? null
+      );
+
+      if (companyData.logo_data) {
+        logoBlobsDb.save(company.id, 'original', companyData.logo_data, companyData.logo_content_type);
+      }
+
+      return company;
+    });
+
+    return mapRow(createWithBlob());
+  },
+
+  findByDomain(domain) {
+    return mapRow(getDb().prepare(`
+      SELECT * FROM companies
+      WHERE domain = @domain
+         OR id = (SELECT company_id FROM domain_aliases WHERE alias = @domain)
+      ORDER BY (domain = @domain) DESC
+      LIMIT 1
+    `).get({ domain }));
+  },
+
+  findById(id) {
+    return mapRow(getDb().prepare('SELECT * FROM companies WHERE id = ?').get(id));
+  },
+
+  updateLogo(id, updateData) {
+    const fields = Object.keys(updateData).map(key => `${key} = ?`).join(', ');
+    const query = `UPDATE companies SET ${fields}, updated_at = CURRENT_TIMESTAMP WHERE id = ? RETURNING *`;
+
+    return mapRow(getDb().prepare(query).get(...Object.values(updateData).map(toSqlValue), id));
+  },
+
+  getAll(limit = 50, offset = 0) {
+    return getDb()
+      .prepare('SELECT * FROM companies ORDER BY updated_at DESC LIMIT ? OFFSET ?')
+      .all(limit, offset)
+      .map(mapRow);
+  },
+
+  findStale(cutoff, limit, excludedDomains = []) {
+    return getDb()
+      .prepare(`
+        SELECT * FROM companies c
+        WHERE c.extracted_at < ?
+          AND c.domain NOT IN (SELECT value FROM json_each(?))
+          AND NOT EXISTS (
+            SELECT 1 FROM extraction_failures f
+            WHERE f.domain = c.domain AND f.next_retry_at > ?
+          )
+        ORDER BY c.extracted_at ASC
+        LIMIT ?
+      `)
+      .all(toSqlValue(cutoff), JSON.stringify(excludedDomains), toSqlValue(new Date()), limit)
+      .map(mapRow);
+  },
+
+  delete(id) {
+    return getDb().prepare('DELETE FROM companies WHERE id = ?').run(id).changes > 0;
+  },
+
+  // Not an edit of the logo, so updated_at (Last-Modified of the image) stays put
+  saveColors(id, colors, colorsHash) {
+    return getDb()
+      .prepare('UPDATE companies SET logo_colors = ?, colors_hash = ? WHERE id = ?')
+      .run(JSON.stringify(colors), colorsHash, id).changes > 0;
+  },
+};
+
+const logoAttemptsDb = {
+  logAttempt(companyId, attemptUrl, success, errorMessage = null) {
+    return mapRow(getDb().prepare(`
+      INSERT INTO logo_attempts (company_id, attempt_url, success, error_message)
+      VALUES (?, ?, ?, ?)
+      RETURNING *
+    `).get(companyId, attemptUrl, success ? 1 : 0, errorMessage));
+  },
+
+  getByCompanyId(companyId) {
+    return getDb()
+      .prepare('SELECT * FROM logo_attempts WHERE company_id = ? ORDER BY attempted_at DESC')
+      .all(companyId)
+      .map(mapRow);
+  },
+};
+
+const domainAliasesDb = {
+  add(alias, companyId) {
+    return mapRow(getDb().prepare(`
+      INSERT INTO domain_aliases (alias, company_id)
+      VALUES (?, ?)
+      ON CONFLICT (alias) DO UPDATE SET company_id = excluded.company_id
+      RETURNING *
+    `).get(alias, companyId));
+  },
+
+  getByCompanyId(companyId) {
+    return getDb()
+      .prepare('SELECT alias FROM domain_aliases WHERE company_id = ? ORDER BY alias')
+      .all(companyId)
+      .map(row => row.alias);
+  },
+};
+
+const extractionFailuresDb = {
+  get(domain) {
+    return mapRow(getDb().prepare('SELECT * FROM extraction_failures WHERE domain = ?').get(domain));
+  },
+
+  record(domain, failureCount, errorMessage, nextRetryAt) {
+    return mapRow(getDb().prepare(`
+      INSERT INTO extraction_failures (domain, failure_count, last_error, last_attempt_at, next_retry_at)
+      VALUES (?, ?, ?, CURRENT_TIMESTAMP, ?)
+      ON CONFLICT (domain) DO UPDATE SET
+        failure_count = excluded.failure_count,
+        last_error = excluded.last_error,
+        last_attempt_at = CURRENT_TIMESTAMP,
+        next_retry_at = excluded.next_retry_at
+      RETURNING *
+    `).get(domain, failureCount, errorMessage, toSqlValue(nextRetryAt)));
+  },
+
+  clear(domain) {
+    return getDb().prepare('DELETE FROM extraction_failures WHERE domain = ?').run(domain).changes > 0;
+  },
+};
+
+module.exports = {
+  initDatabase,
+  closeDatabase,
+  getMigrationAdapter,
+  companyDb,
+  logoAttemptsDb,
+  logoBlobsDb,
+  domainAliasesDb,
+  extractionFailuresDb,
+};
@@ -0,0 +1,47 @@
+// Schema migration command: node src/database/migrate.js [up [version] | down [steps] | status]
+require('dotenv').config();
+const CloudDatabaseService = require('../services/cloudDatabase');
+
+async function main() {
+  const [command = 'up', argument] = process.argv.slice(2);
+  const db = new CloudDatabaseService();
+  await db.initialize({ migrate: false });
+
+  try {
+    await db.withMigrator(async migrator => {
+      switch (command) {
+        case 'up': {
+          const applied = await migrator.migrate(argument ? parseInt(argument) : Infinity);
+          if (applied.length === 0) {
+            console.log('✅ Database schema is up to date');
+          }
+          break;
+        }
+
+        case 'down': {
+          const reverted = await migrator.rollback(argument ? parseInt(argument) : 1);
+          console.log(`✅ Reverted ${reverted.length} migration(s)`);
+          break;
+        }
+
+        case 'status': {
+          const migrations = await migrator.status();
+          migrations.forEach(migration => {
+            console.log(`${migration.applied ? '✅' : '⏳'} ${migration.id}`);
+          });
+          break;
+        }
+
+        default:
+          throw new Error(`Unknown migration command: ${command} (use up, down or status)`);
+      }
+    });
+  } finally {
+    await db.close();
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Migration failed:', error.message);
+  process.exit(1);
+});
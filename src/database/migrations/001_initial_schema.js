@@ -0,0 +1,80 @@
+// Tables as they existed before versioned migrations; IF NOT EXISTS lets older deployments adopt them
+module.exports = {
+  postgres: {
+    up: `
+      CREATE TABLE IF NOT EXISTS companies (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        domain VARCHAR(255) UNIQUE NOT NULL,
+        logo_url TEXT,
+        imgbb_id VARCHAR(255),
+        imgbb_url TEXT,
+        imgbb_delete_url TEXT,
+        logo_format VARCHAR(50),
+        logo_size INTEGER,
+        logo_width INTEGER,
+        logo_height INTEGER,
+        extracted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      ALTER TABLE companies ADD COLUMN IF NOT EXISTS imgbb_url TEXT;
+
+      CREATE TABLE IF NOT EXISTS logo_attempts (
+        id SERIAL PRIMARY KEY,
+        company_id INTEGER REFERENCES companies(id) ON DELETE CASCADE,
+        attempt_url TEXT NOT NULL,
+        success BOOLEAN DEFAULT FALSE,
+        error_message TEXT,
+        attempted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_companies_domain ON companies(domain);
+      CREATE INDEX IF NOT EXISTS idx_companies_updated_at ON companies(updated_at);
+      CREATE INDEX IF NOT EXISTS idx_logo_attempts_company_id ON logo_attempts(company_id);
+    `,
+    down: `
+      DROP TABLE IF EXISTS logo_attempts;
+      DROP TABLE IF EXISTS companies;
+    `,
+  },
+
+  sqlite: {
+    up: `
+      CREATE TABLE IF NOT EXISTS companies (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        domain TEXT UNIQUE NOT NULL,
+        logo_url TEXT,
+        imgbb_id TEXT,
+        imgbb_url TEXT,
+        imgbb_delete_url TEXT,
+        logo_format TEXT,
+        logo_size INTEGER,
+        logo_width INTEGER,
+        logo_height INTEGER,
+        extracted_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS logo_attempts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        company_id INTEGER REFERENCES companies(id) ON DELETE CASCADE,
+        attempt_url TEXT NOT NULL,
+        success INTEGER DEFAULT 0,
+        error_message TEXT,
+        attempted_at TEXT DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_companies_domain ON companies(domain);
+      CREATE INDEX IF NOT EXISTS idx_companies_updated_at ON companies(updated_at);
+      CREATE INDEX IF NOT EXISTS idx_logo_attempts_company_id ON logo_attempts(company_id);
+    `,
+    down: `
+      DROP TABLE IF EXISTS logo_attempts;
+      DROP TABLE IF EXISTS companies;
+    `,
+  },
+};
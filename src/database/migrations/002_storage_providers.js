@@ -0,0 +1,52 @@
+const STORAGE_COLUMNS = {
+  storage_provider: 'TEXT',
+  storage_key: 'TEXT',
+  storage_delete_url: 'TEXT',
+};
+
+// Rows written before storage providers existed all live on ImgBB
+const BACKFILL_IMGBB = `
+  UPDATE companies
+  SET storage_provider = 'imgbb',
+      storage_key = COALESCE(imgbb_url, imgbb_id),
+      storage_delete_url = imgbb_delete_url
+  WHERE storage_key IS NULL AND imgbb_id IS NOT NULL
+`;
+
+module.exports = {
+  postgres: {
+    up: `
+      ALTER TABLE companies
+        ADD COLUMN IF NOT EXISTS storage_provider VARCHAR(50),
+        ADD COLUMN IF NOT EXISTS storage_key TEXT,
+        ADD COLUMN IF NOT EXISTS storage_delete_url TEXT;
+      ${BACKFILL_IMGBB};
+    `,
+    down: `
+      ALTER TABLE companies
+        DROP COLUMN IF EXISTS storage_provider,
+        DROP COLUMN IF EXISTS storage_key,
+        DROP COLUMN IF EXISTS storage_delete_url;
+    `,
+  },
+
+  sqlite: {
+    // SQLite has no ADD COLUMN IF NOT EXISTS, so check the table first
+    async up(db) {
+      const existing = (await db.query('PRAGMA table_info(companies)')).map(column => column.name);
+
+      for (const [column, type] of Object.entries(STORAGE_COLUMNS)) {
+        if (!existing.includes(column)) {
+          await db.exec(`ALTER TABLE companies ADD COLUMN ${column} ${type}`);
+        }
+      }
+
+      await db.exec(BACKFILL_IMGBB);
+    },
+    down: `
+      ALTER TABLE companies DROP COLUMN storage_provider;
+      ALTER TABLE companies DROP COLUMN storage_key;
+      ALTER TABLE companies DROP COLUMN storage_delete_url;
+    `,
+  },
+};
@@ -0,0 +1,36 @@
+// Logo bytes for deployments without an external storage provider
+module.exports = {
+  postgres: {
+    up: `
+      CREATE TABLE IF NOT EXISTS logo_blobs (
+        company_id INTEGER NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+        variant VARCHAR(100) NOT NULL DEFAULT 'original',
+        data BYTEA NOT NULL,
+        content_type VARCHAR(100),
+        size INTEGER,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (company_id, variant)
+      );
+    `,
+    down: `
+      DROP TABLE IF EXISTS logo_blobs;
+    `,
+  },
+
+  sqlite: {
+    up: `
+      CREATE TABLE IF NOT EXISTS logo_blobs (
+        company_id INTEGER NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+        variant TEXT NOT NULL DEFAULT 'original',
+        data BLOB NOT NULL,
+        content_type TEXT,
+        size INTEGER,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (company_id, variant)
+      );
+    `,
+    down: `
+      DROP TABLE IF EXISTS logo_blobs;
+    `,
+  },
+};
@@ -0,0 +1,20 @@
+// Content hash of the stored logo, used for ETags without reading the image
+module.exports = {
+  postgres: {
+    up: `
+      ALTER TABLE companies ADD COLUMN IF NOT EXISTS logo_hash VARCHAR(64);
+    `,
+    down: `
+      ALTER TABLE companies DROP COLUMN IF EXISTS logo_hash;
+    `,
+  },
+
+  sqlite: {
+    up: `
+      ALTER TABLE companies ADD COLUMN logo_hash TEXT;
+    `,
+    down: `
+      ALTER TABLE companies DROP COLUMN logo_hash;
+    `,
+  },
+};
@@ -0,0 +1,32 @@
+// Domains whose extraction failed, with the time the next attempt is allowed
+module.exports = {
+  postgres: {
+    up: `
+      CREATE TABLE IF NOT EXISTS extraction_failures (
+        domain VARCHAR(255) PRIMARY KEY,
+        failure_count INTEGER NOT NULL DEFAULT 1,
+        last_error TEXT,
+        last_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        next_retry_at TIMESTAMP NOT NULL
+      );
+    `,
+    down: `
+      DROP TABLE IF EXISTS extraction_failures;
+    `,
+  },
+
+  sqlite: {
+    up: `
+      CREATE TABLE IF NOT EXISTS extraction_failures (
+        domain TEXT PRIMARY KEY,
+        failure_count INTEGER NOT NULL DEFAULT 1,
+        last_error TEXT,
+        last_attempt_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        next_retry_at TEXT NOT NULL
+      );
+    `,
+    down: `
+      DROP TABLE IF EXISTS extraction_failures;
+    `,
+  },
+};
@@ -0,0 +1,30 @@
+// Other hostnames (fb.com, m.facebook.com, ...) that lead to an existing company
+module.exports = {
+  postgres: {
+    up: `
+      CREATE TABLE IF NOT EXISTS domain_aliases (
+        alias VARCHAR(255) PRIMARY KEY,
+        company_id INTEGER NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE INDEX IF NOT EXISTS idx_domain_aliases_company_id ON domain_aliases(company_id);
+    `,
+    down: `
+      DROP TABLE IF EXISTS domain_aliases;
+    `,
+  },
+
+  sqlite: {
+    up: `
+      CREATE TABLE IF NOT EXISTS domain_aliases (
+        alias TEXT PRIMARY KEY,
+        company_id INTEGER NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE INDEX IF NOT EXISTS idx_domain_aliases_company_id ON domain_aliases(company_id);
+    `,
+    down: `
+      DROP TABLE IF EXISTS domain_aliases;
+    `,
+  },
+};
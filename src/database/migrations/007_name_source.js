@@ -0,0 +1,20 @@
+// Where the company name came from: provided, og:site_name, application-name, json-ld, title or domain
+module.exports = {
+  postgres: {
+    up: `
+      ALTER TABLE companies ADD COLUMN IF NOT EXISTS name_source VARCHAR(32);
+    `,
+    down: `
+      ALTER TABLE companies DROP COLUMN IF EXISTS name_source;
+    `,
+  },
+
+  sqlite: {
+    up: `
+      ALTER TABLE companies ADD COLUMN name_source TEXT;
+    `,
+    down: `
+      ALTER TABLE companies DROP COLUMN name_source;
+    `,
+  },
+};
@@ -0,0 +1,24 @@
+// Brand colors computed from the stored logo, and the logo hash they were computed from
+module.exports = {
+  postgres: {
+    up: `
+      ALTER TABLE companies ADD COLUMN IF NOT EXISTS logo_colors JSONB;
+      ALTER TABLE companies ADD COLUMN IF NOT EXISTS colors_hash VARCHAR(64);
+    `,
+    down: `
+      ALTER TABLE companies DROP COLUMN IF EXISTS logo_colors;
+      ALTER TABLE companies DROP COLUMN IF EXISTS colors_hash;
+    `,
+  },
+
+  sqlite: {
+    up: `
+      ALTER TABLE companies ADD COLUMN logo_colors TEXT;
+      ALTER TABLE companies ADD COLUMN colors_hash TEXT;
+    `,
+    down: `
+      ALTER TABLE companies DROP COLUMN logo_colors;
+      ALTER TABLE companies DROP COLUMN colors_hash;
+    `,
+  },
+};
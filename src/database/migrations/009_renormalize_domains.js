@@ -0,0 +1,59 @@
+const Company = require('../../models/Company');
+
+// Rows saved before domains were reduced to their registrable, punycode form (shop.bbc.co.uk, münchen.de)
+// could no longer be found; rename them to the key lookups now use
+async function renormalize(db) {
+  const sql = text => (db.type === 'sqlite' ? text.replace(/\$\d+/g, '?') : text);
+  const companies = await db.query('SELECT id, domain FROM companies ORDER BY id');
+  const taken = new Set(companies.map(company => company.domain));
+
+  for (const { id, domain } of companies) {
+    const normalized = Company.normalizeDomain(domain);
+    if (!normalized || normalized === domain) continue;
+
+    // Another row already holds the normalized key and is the one lookups find
+    if (taken.has(normalized)) {
+      console.log(`⚠️  ${domain} (company ${id}) normalizes to ${normalized}, which already exists; left as is`);
+      continue;
+    }
+
+    await db.query(sql('UPDATE companies SET domain = $1 WHERE id = $2'), [normalized, id]);
+    // Back-off state under the old key would never be read again
+    await db.query(sql('DELETE FROM extraction_failures WHERE domain = $1'), [domain]);
+    taken.delete(domain);
+    taken.add(normalized);
+  }
+
+  // Aliases are looked up by the normalized requested domain too
+  const aliases = await db.query('SELECT alias, company_id FROM domain_aliases ORDER BY alias');
+  const aliasKeys = new Set(aliases.map(row => row.alias));
+
+  for (const { alias, company_id: companyId } of aliases) {
+    const normalized = Company.normalizeDomain(alias);
+    if (!normalized || normalized === alias) continue;
+
+    await db.query(sql('DELETE FROM domain_aliases WHERE alias = $1'), [alias]);
+    aliasKeys.delete(alias);
+
+    // An alias equal to a company's own domain (or to an existing alias) adds nothing
+    if (taken.has(normalized) || aliasKeys.has(normalized)) continue;
+
+    await db.query(sql('INSERT INTO domain_aliases (alias, company_id) VALUES ($1, $2)'), [normalized, companyId]);
+    aliasKeys.add(normalized);
+  }
+}
+
+// The original spellings aren't kept, and the normalized keys are valid either way
+async function keepNormalized() {}
+
+module.exports = {
+  postgres: {
+    up: renormalize,
+    down: keepNormalized,
+  },
+
+  sqlite: {
+    up: renormalize,
+    down: keepNormalized,
+  },
+};
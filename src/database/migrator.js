@@ -0,0 +1,138 @@
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// Runs the numbered files in ./migrations against a connection adapter:
+// { type: 'postgres' | 'sqlite', exec(sql), query(sql, params) => rows }
+class Migrator {
+  constructor(db, migrationsDir = MIGRATIONS_DIR) {
+    this.db = db;
+    this.migrationsDir = migrationsDir;
+  }
+
+  // Migration files are named <version>_<name>.js and export { postgres: { up, down }, sqlite: { up, down } }
+  loadMigrations() {
+    return fs.readdirSync(this.migrationsDir)
+      .filter(file => /^\d+_[\w-]+\.js$/.test(file))
+      .map(file => {
+        const [, version, name] = file.match(/^(\d+)_([\w-]+)\.js$/);
+        const migration = require(path.join(this.migrationsDir, file));
+        const steps = migration[this.db.type];
+
+        if (!steps || !steps.up || !steps.down) {
+          throw new Error(`Migration ${file} has no up/down for ${this.db.type}`);
+        }
+
+        return { id: file.replace(/\.js$/, ''), version: parseInt(version), name, ...steps };
+      })
+      .sort((a, b) => a.version - b.version);
+  }
+
+  async ensureMigrationsTable() {
+    const appliedAtType = this.db.type === 'sqlite' ? 'TEXT' : 'TIMESTAMP';
+
+    await this.db.exec(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        applied_at ${appliedAtType} DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  }
+
+  async getAppliedVersions() {
+    await this.ensureMigrationsTable();
+    const rows = await this.db.query('SELECT version FROM schema_migrations ORDER BY version');
+    return rows.map(row => Number(row.version));
+  }
+
+  // A step is either SQL text or an async function receiving the adapter
+  async runStep(step) {
+    if (typeof step === 'function') {
+      await step(this.db);
+    } else {
+      await this.db.exec(step);
+    }
+  }
+
+  // Each migration and its bookkeeping row commit or roll back together
+  async inTransaction(fn) {
+    await this.db.exec('BEGIN');
+    try {
+      await fn();
+      await this.db.exec('COMMIT');
+    } catch (error) {
+      await this.db.exec('ROLLBACK');
+      throw error;
+    }
+  }
+
+  // Apply pending migrations up to targetVersion (all of them by default)
+  async migrate(targetVersion = Infinity) {
+    const applied = new Set(await this.getAppliedVersions());
+    const pending = this.loadMigrations()
+      .filter(migration => !applied.has(migration.version) && migration.version <= targetVersion);
+
+    for (const migration of pending) {
+      console.log(`⬆️  Applying migration ${migration.id}`);
+
+      await this.inTransaction(async () => {
+        await this.runStep(migration.up);
+        await this.db.query(
+          this.db.type === 'sqlite'
+            ? 'INSERT INTO schema_migrations (version, name) VALUES (?, ?)'
+            : 'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+          [migration.version, migration.name]
+        );
+      });
+    }
+
+    if (pending.length > 0) {
+      console.log(`✅ Applied ${pending.length} migration(s)`);
+    }
+
+    return pending.map(migration => migration.version);
+  }
+
+  // Revert the most recently applied migrations
+  async rollback(steps = 1) {
+    const applied = await this.getAppliedVersions();
+    const migrations = this.loadMigrations();
+    const toRevert = steps > 0 ? applied.slice(-steps).reverse() : [];
+
+    for (const version of toRevert) {
+      const migration = migrations.find(candidate => candidate.version === version);
+      if (!migration) {
+        throw new Error(`Migration ${version} is applied but its file is missing`);
+      }
+
+      console.log(`⬇️  Reverting migration ${migration.id}`);
+
+      await this.inTransaction(async () => {
+        await this.runStep(migration.down);
+        await this.db.query(
+          this.db.type === 'sqlite'
+            ? 'DELETE FROM schema_migrations WHERE version = ?'
+            : 'DELETE FROM schema_migrations WHERE version = $1',
+          [migration.version]
+        );
+      });
+    }
+
+    return toRevert;
+  }
+
+  async status() {
+    const applied = new Set(await this.getAppliedVersions());
+
+    return this.loadMigrations().map(migration => ({
+      id: migration.id,
+      version: migration.version,
+      name: migration.name,
+      applied: applied.has(migration.version),
+    }));
+  }
+}
+
+module.exports = Migrator;
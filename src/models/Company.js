@@ -1,17 +1,30 @@
+const crypto = require('crypto');
+const net = require('net');
+const url = require('url');
+const psl = require('psl');
+
 class Company {
   constructor(data = {}) {
     this.id = data.id || null;
     this.name = data.name || '';
+    this.name_source = data.name_source || null;
     this.domain = data.domain || '';
     this.logo_url = data.logo_url || null;
     this.imgbb_id = data.imgbb_id || null;
     this.imgbb_url = data.imgbb_url || null;
     this.imgbb_delete_url = data.imgbb_delete_url || null;
+    this.storage_provider = data.storage_provider || null;
+    this.storage_key = data.storage_key || null;
+    this.storage_delete_url = data.storage_delete_url || null;
     this.logo_data = data.logo_data || null; 
+    this.logo_content_type = data.logo_content_type || null;
     this.logo_format = data.logo_format || null;
     this.logo_size = data.logo_size || null;
     this.logo_width = data.logo_width || null;
     this.logo_height = data.logo_height || null;
+    this.logo_hash = data.logo_hash || null;
+    this.logo_colors = data.logo_colors || null;
+    this.colors_hash = data.colors_hash || null;
     this.extracted_at = data.extracted_at || null;
     this.updated_at = data.updated_at || null;
     this.created_at = data.created_at || null;
@@ -26,33 +39,50 @@ class Company {
     return this.name && this.name.trim().length > 0;
   }
 
+  // A registrable domain under a known public suffix (bbc.co.uk, xn--mnchen-3ya.de), not a bare suffix like co.uk
   validateDomain() {
     if (!this.domain) return false;
-    
-   
-    const domainRegex = /^[a-zA-Z0-9][a-zA-Z0-9-]{0,61}[a-zA-Z0-9]?\.([a-zA-Z]{2,})+$/;
-    return domainRegex.test(this.domain.toLowerCase());
+
+    const parsed = psl.parse(url.domainToASCII(this.domain));
+    return !parsed.error && parsed.listed && !!parsed.domain;
   }
 
-  // Normalize domain (remove protocol, www, trailing slash)
+  // Normalize to the registrable domain in ASCII form: https://Shop.BBC.co.uk:443/x -> bbc.co.uk, münchen.de -> xn--mnchen-3ya.de
   static normalizeDomain(domain) {
     if (!domain) return '';
     
     let normalized = domain.toLowerCase().trim();
     
     // Remove protocol
-    normalized = normalized.replace(/^https?:\/\//, '');
-    
-    // Remove www
-    normalized = normalized.replace(/^www\./, '');
+    normalized = normalized.replace(/^[a-z][a-z0-9+.-]*:\/\//, '');
     
     // Remove trailing slash and path
-    normalized = normalized.split('/')[0];
-    
+    normalized = normalized.split(/[/?#]/)[0];
+
+    // Remove credentials; IP literals ([::1]:8080, 10.0.0.1) have no registrable domain and are kept whole
+    const host = normalized.split('@').pop();
+    const bracketed = host.match(/^\[([^\]]+)\]/);
+    if (bracketed && net.isIP(bracketed[1])) return bracketed[1];
+    if (net.isIP(host)) return host;
+
     // Remove port number
-    normalized = normalized.split(':')[0];
-    
-    return normalized;
+    normalized = host.split(':')[0];
+    if (net.isIP(normalized)) return normalized;
+
+    // Remove the trailing dot of fully qualified names
+    normalized = normalized.replace(/\.+$/, '');
+
+    // Internationalized names become punycode (empty when not a valid hostname)
+    const ascii = url.domainToASCII(normalized) || normalized;
+
+    // Subdomains (www, m, shop, ...) belong to the same company as the registrable domain
+    return psl.get(ascii) || ascii.replace(/^www\./, '');
+  }
+
+  // Registrable domain split by the Public Suffix List: { domain, sld, tld, subdomain }
+  static parseDomain(domain) {
+    const parsed = psl.parse(url.domainToASCII(domain || ''));
+    return parsed.error ? null : parsed;
   }
 
   
@@ -80,6 +110,7 @@ class Company {
     const json = {
       id: this.id,
       name: this.name,
+      name_source: this.name_source,
       domain: this.domain,
       logo_url: this.logo_url,
       original_url: this.logo_url,
@@ -91,13 +122,13 @@ class Company {
       updated_at: this.updated_at,
       created_at: this.created_at,
       cloud_storage: {
-        enabled: !!this.imgbb_id,
-        provider: this.imgbb_id ? 'ImgBB' : 'Local'
+        enabled: this.isUsingCloudStorage(),
+        provider: this.storage_provider
       }
     };
 
     if (includeBinaryData && this.logo_data) {
-      json.logo_data = this.logo_data;
+      json.logo_data_url = this.getLogoDataUrl();
     }
 
     return json;
@@ -109,30 +140,34 @@ class Company {
     
     return new Company({
       name: name || this.extractCompanyNameFromDomain(normalizedDomain),
+      name_source: name ? 'provided' : 'domain',
       domain: normalizedDomain
     });
   }
 
   
+  // The label just left of the public suffix, in Unicode: foo.co.uk -> Foo, xn--mnchen-3ya.de -> München
   static extractCompanyNameFromDomain(domain) {
     const normalizedDomain = this.normalizeDomain(domain);
-    const parts = normalizedDomain.split('.');
-    
-    
-    const mainPart = parts[0];
-    
-   
+    if (net.isIP(normalizedDomain)) return normalizedDomain;
+
+    const parsed = this.parseDomain(normalizedDomain);
+
+    const mainPart = url.domainToUnicode(parsed?.sld || normalizedDomain.split('.')[0]) || normalizedDomain.split('.')[0];
+
     return mainPart.charAt(0).toUpperCase() + mainPart.slice(1);
   }
 
  
   getLogoDataUrl() {
-    if (!this.logo_data || !this.logo_format) {
+    if (!this.logo_data || !(this.logo_content_type || this.logo_format)) {
       return null;
     }
 
+    // Stored bytes may have been converted (e.g. ICO to PNG), so prefer their own content type
+    const contentType = this.logo_content_type || `image/${this.logo_format}`;
     const base64Data = Buffer.from(this.logo_data).toString('base64');
-    return `data:image/${this.logo_format};base64,${base64Data}`;
+    return `data:${contentType};base64,${base64Data}`;
   }
 
   // Check if company has a valid logo
@@ -145,9 +180,22 @@ class Company {
     return this.logo_url;
   }
 
-  // Check if using cloud storage
+  // Check if the logo lives in an external storage provider
   isUsingCloudStorage() {
-    return !!this.imgbb_id;
+    return !!this.storage_key && this.storage_provider !== 'database';
+  }
+
+  // Hash identifying the stored logo bytes; rows from before logo_hash fall back to the storage key
+  getContentHash() {
+    if (this.logo_hash) return this.logo_hash;
+    if (!this.storage_key) return null;
+
+    return crypto.createHash('sha256').update(`${this.storage_provider}:${this.storage_key}`).digest('hex');
+  }
+
+  // Check if logo bytes are stored anywhere we can serve them from
+  hasStoredLogo() {
+    return !!this.storage_key;
   }
 
   // Get display name
@@ -1,13 +1,24 @@
 const express = require('express');
 const router = express.Router();
-const LogoExtractor = require('../services/logoExtractor');
 const CloudDatabaseService = require('../services/cloudDatabase');
 const CloudStorageService = require('../services/cloudStorage');
+const ImageProcessor = require('../services/imageProcessor');
+const ImageCache = require('../services/imageCache');
+const LogoService = require('../services/logoService');
+const MonogramGenerator = require('../services/monogramGenerator');
+const ExtractionConfig = require('../services/extractionConfig');
 const Company = require('../models/Company');
 
-const logoExtractor = new LogoExtractor();
 let cloudDb = null;
 const cloudStorage = new CloudStorageService();
+const imageCache = ImageCache.getSharedCache();
+const imageProcessor = new ImageProcessor(imageCache);
+const monogramGenerator = new MonogramGenerator();
+const extractionConfig = ExtractionConfig.getSharedConfig();
+
+// ?fallback= modes for domains without a logo; 'true'/'false' predate the named modes
+const FALLBACK_MODES = ['initials', 'redirect', '404', 'transparent'];
+const FALLBACK_ALIASES = { true: 'initials', false: '404' };
 
 // Initialize cloud database
 async function initCloudDb() {
@@ -18,12 +29,80 @@ async function initCloudDb() {
   return cloudDb;
 }
 
+const logoService = new LogoService({ getDb: initCloudDb, cloudStorage, imageCache });
+
+// Read the stored logo from the cache, the database blob table or the storage provider
+async function loadStoredImage(db, company) {
+  const key = `${logoService.getImageCacheKey(company)}:source`;
+  const cached = imageCache.get(key);
+  if (cached) {
+    return cached;
+  }
+
+  let imageData;
+  if (company.storage_provider === 'database') {
+    imageData = await db.getLogoBlob(company.id, company.storage_key);
+    if (!imageData) {
+      throw new Error(`No stored logo data for ${company.domain}`);
+    }
+  } else {
+    imageData = await cloudStorage.getImage(company.storage_key, company.storage_provider);
+  }
+
+  imageCache.set(key, imageData);
+  return imageData;
+}
+
+// Answer for a domain without a usable logo: generated initials, a transparent image, a Clearbit redirect or a 404
+async function sendFallback(req, res, { mode, domain, name, size, format, transforms }) {
+  if (mode === '404') {
+    return res.status(404).send('Logo not found');
+  }
+
+  if (mode === 'redirect') {
+    return res.redirect(`https://logo.clearbit.com/${domain}?size=${size || 64}&fallback=default`);
+  }
+
+  const source = mode === 'transparent'
+    ? { key: 'fallback:transparent', render: () => monogramGenerator.renderTransparent() }
+    : { key: `fallback:${domain}:${monogramGenerator.getInitials(name)}`, render: () => monogramGenerator.renderSvg({ name, domain }) };
+
+  const outputFormat = format || imageProcessor.negotiateFormat(req.get('Accept'));
+  if (!format) {
+    res.vary('Accept');
+  }
+
+  const imageData = await imageProcessor.getVariant(
+    source.key,
+    { size, format: outputFormat, transforms },
+    async () => ({ buffer: source.render(), contentType: 'image/svg+xml' })
+  );
+
+  // Short-lived: a real logo may be extracted soon
+  res.set({
+    'Content-Type': imageData.contentType,
+    'Content-Length': imageData.buffer.length,
+    'Cache-Control': 'public, max-age=3600',
+    'X-Logo-API': 'company-logo-api',
+    'X-Logo-Fallback': mode
+  });
+  if (outputFormat === 'svg') {
+    res.set('Content-Security-Policy', "default-src 'none'; style-src 'unsafe-inline'; sandbox");
+  }
+
+  return res.send(imageData.buffer);
+}
+
 // GET /api/logos - Get all companies with logos
 router.get('/', async (req, res) => {
   try {
     const db = await initCloudDb();
     const { limit = 50, offset = 0, format } = req.query;
-    const companies = await db.getAllCompanies(parseInt(limit), parseInt(offset));
+    let companies = await db.getAllCompanies(parseInt(limit), parseInt(offset));
+
+    if (format === 'full') {
+      companies = await Promise.all(companies.map(company => db.loadLogoData(company)));
+    }
     
     const response = companies.map(company => {
       const companyObj = new Company(company);
@@ -65,6 +144,7 @@ router.delete('/:id', async (req, res) => {
     }
 
     await db.deleteCompany(id);
+    imageCache.removeByPrefix(`${id}:`);
     
     res.json({
       message: 'Company deleted successfully'
@@ -79,65 +159,214 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
+// POST /api/logos/:id/refresh - Force re-extraction of a company logo
+router.post('/:id/refresh', async (req, res) => {
+  try {
+    const db = await initCloudDb();
+    const { id } = req.params;
+
+    const companyData = await db.findById(id);
+
+    if (!companyData) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Company not found'
+      });
+    }
+
+    const updated = await logoService.refresh(companyData, { force: true });
+
+    res.json({
+      message: 'Logo refreshed successfully',
+      data: new Company(updated).toJSON()
+    });
+
+  } catch (error) {
+    if (error.code === 'DOMAIN_BLOCKED') {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: error.message
+      });
+    }
+
+    console.error('Error refreshing logo:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: `Failed to refresh logo: ${error.message}`
+    });
+  }
+});
+
+// GET /api/logos/:domain/colors - Dominant and accent colors of a stored logo
+router.get('/:domain/colors', async (req, res) => {
+  try {
+    const db = await initCloudDb();
+    const normalizedDomain = Company.normalizeDomain(req.params.domain);
+    const companyData = await db.findByDomain(normalizedDomain);
+
+    const blocked = extractionConfig.isBlocked(normalizedDomain) || (companyData && extractionConfig.isBlocked(companyData.domain));
+
+    if (!companyData || !new Company(companyData).hasStoredLogo() || blocked) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `No stored logo for ${normalizedDomain}`
+      });
+    }
+
+    const company = new Company(companyData);
+    const colors = await logoService.getColors(company, () => loadStoredImage(db, company));
+
+    res.set('Cache-Control', 'public, max-age=3600');
+    res.json({
+      data: {
+        domain: company.domain,
+        ...colors
+      }
+    });
+  } catch (error) {
+    console.error('Error extracting logo colors:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: `Failed to extract logo colors: ${error.message}`
+    });
+  }
+});
+
 // GET /api/logos/auto/:domain - Auto-extract or return logo (Blog-friendly)
 router.get('/auto/:domain', async (req, res) => {
   try {
     const { domain } = req.params;
-    const { size = '64', fallback = 'true' } = req.query;
+    const { size = '64', fallback = 'initials' } = req.query;
     
     if (!domain) {
       return res.status(400).send('Domain required');
     }
 
+    const fallbackMode = FALLBACK_ALIASES[fallback] || fallback;
+    if (!FALLBACK_MODES.includes(fallbackMode)) {
+      return res.status(400).send(`Unsupported fallback. Use one of: ${FALLBACK_MODES.join(', ')}`);
+    }
+
+    const requestedFormat = imageProcessor.normalizeFormat(req.query.format);
+    if (req.query.format && !requestedFormat) {
+      return res.status(400).send(`Unsupported format. Use one of: ${Object.keys(imageProcessor.outputFormats).join(', ')}`);
+    }
+
+    const { transforms, error: transformError } = imageProcessor.normalizeTransforms(req.query);
+    if (transformError) {
+      return res.status(400).send(transformError);
+    }
+    const hasTransforms = imageProcessor.getTransformKey(transforms) !== '';
+    if (hasTransforms && requestedFormat === 'svg') {
+      return res.status(400).send('Transforms are not available with format=svg');
+    }
+
     const db = await initCloudDb();
     const normalizedDomain = Company.normalizeDomain(domain);
     let companyData = await db.findByDomain(normalizedDomain);
+
+    const fallbackOptions = {
+      mode: fallbackMode,
+      domain: normalizedDomain,
+      name: Company.fromDomain(normalizedDomain).getDisplayName(),
+      size: imageProcessor.normalizeSize(size),
+      format: requestedFormat,
+      transforms
+    };
+
+    // Blocked domains never get a logo, not even one stored before the rule was added
+    if (extractionConfig.isBlocked(normalizedDomain) || (companyData && extractionConfig.isBlocked(companyData.domain))) {
+      return await sendFallback(req, res, fallbackOptions);
+    }
     
     if (!companyData) {
       try {
         // Auto-extract for blogs
-        console.log(`Auto-extracting logo for blog: ${normalizedDomain}`);
-        const company = await logoExtractor.extractLogo(normalizedDomain);
-        companyData = await db.createCompany(company);
-        await db.logAttempt(companyData.id, company.logo_url, true);
+        companyData = await logoService.extractAndSave(normalizedDomain);
       } catch (extractError) {
-        console.error('Auto-extraction failed:', extractError);
-        if (fallback === 'true') {
-          return res.redirect(`https://logo.clearbit.com/${normalizedDomain}?size=${size}&fallback=default`);
+        if (extractError.code === 'EXTRACTION_BACKOFF' || extractError.code === 'DOMAIN_BLOCKED') {
+          console.log(`⏭️  ${extractError.message}`);
+        } else {
+          console.error('Auto-extraction failed:', extractError);
         }
-        return res.status(404).send('Logo not found');
+        return await sendFallback(req, res, fallbackOptions);
       }
+    } else if (logoService.isStale(companyData)) {
+      // Keep serving the current logo while a fresh one is extracted
+      logoService.refreshInBackground(companyData);
     }
 
     const company = new Company(companyData);
+    fallbackOptions.name = company.getDisplayName();
     
-    if (company.imgbb_id) {
+    if (company.hasStoredLogo()) {
       try {
-        const imageData = await cloudStorage.getImageFromImgBB(company.imgbb_url || company.imgbb_id);
-        
+        const requestedSize = imageProcessor.normalizeSize(req.query.size);
+
+        const fromDatabase = company.storage_provider === 'database';
+
+        // Untransformed requests can go straight to the provider when redirect delivery is on
+        if (!fromDatabase && cloudStorage.delivery === 'redirect' && !requestedSize && !requestedFormat && !hasTransforms) {
+          const direct = await cloudStorage.getPublicUrl(company.storage_key, company.storage_provider);
+          if (direct) {
+            // Presigned URLs expire, so the redirect must not be cached longer than they live
+            const maxAge = direct.expiresIn ? Math.floor(direct.expiresIn / 2) : 86400;
+            res.set('Cache-Control', `public, max-age=${maxAge}`);
+            return res.redirect(direct.url);
+          }
+        }
+
+        if (requestedFormat === 'svg' && company.logo_format !== 'svg') {
+          return res.status(406).send('SVG is only available for logos stored as vectors');
+        }
+
+        const outputFormat = requestedFormat || imageProcessor.negotiateFormat(req.get('Accept'));
+
+        if (!requestedFormat) {
+          res.vary('Accept');
+        }
+
+        // Validators come from the database row, so revalidation never touches storage
         res.set({
-          'Content-Type': imageData.contentType,
-          'Content-Length': imageData.size,
-          'Cache-Control': 'public, max-age=86400', 
+          'ETag': imageProcessor.getETag(company.getContentHash(), { size: requestedSize, format: outputFormat, transforms }),
+          'Cache-Control': 'public, max-age=86400',
           'X-Logo-API': 'company-logo-api'
         });
+        if (company.updated_at) {
+          res.set('Last-Modified', new Date(company.updated_at).toUTCString());
+        }
+
+        if (req.fresh) {
+          return res.status(304).end();
+        }
+
+        const imageData = await imageProcessor.getVariant(
+          logoService.getImageCacheKey(company),
+          { size: requestedSize, format: outputFormat, transforms },
+          () => loadStoredImage(db, company)
+        );
+
+        res.set({
+          'Content-Type': imageData.contentType,
+          'Content-Length': imageData.buffer.length
+        });
+        if (outputFormat === 'svg') {
+          // Stored SVGs are sanitized, this also keeps anything missed from running when opened directly
+          res.set('Content-Security-Policy', "default-src 'none'; style-src 'unsafe-inline'; img-src data:; sandbox");
+        }
 
         return res.send(imageData.buffer);
       } catch (imageError) {
         console.error('Image retrieval error:', imageError);
-        // Fall back to Clearbit if image retrieval fails
-        if (fallback === 'true') {
-          return res.redirect(`https://logo.clearbit.com/${normalizedDomain}?size=${size}&fallback=default`);
-        }
+        // The validators described an image we couldn't produce
+        res.removeHeader('ETag');
+        res.removeHeader('Last-Modified');
+        res.removeHeader('Cache-Control');
       }
     }
     
-    // Fallback if no imgbb_id or image retrieval failed
-    if (fallback === 'true') {
-      return res.redirect(`https://logo.clearbit.com/${normalizedDomain}?size=${size}&fallback=default`);
-    }
-    
-    res.status(404).send('Logo not available');
+    // Fallback if nothing is stored or image retrieval failed
+    return await sendFallback(req, res, fallbackOptions);
 
   } catch (error) {
     console.error('Auto-logo error:', error);
@@ -156,22 +385,30 @@ router.use('*', (req, res) => {
     endpoints: {
       'GET /api/logos': 'Get all companies with logos',
       'GET /api/logos/auto/:domain': 'Auto-extract and return logo image (perfect for <img> tags)',
+      'GET /api/logos/:domain/colors': 'Dominant and accent brand colors of a stored logo',
+      'POST /api/logos/:id/refresh': 'Re-extract a company logo and replace the stored image',
       'DELETE /api/logos/:id': 'Delete company logo'
     },
     blog_usage: {
       'Simple img tag': '<img src="/api/logos/auto/github.com" alt="GitHub logo">',
-      'With fallback': '<img src="/api/logos/auto/github.com?fallback=true" alt="GitHub logo">',
-      'Custom size': '<img src="/api/logos/auto/github.com?size=128" alt="GitHub logo">',
+      'With fallback': '<img src="/api/logos/auto/github.com?fallback=initials" alt="GitHub logo"> (initials, transparent, redirect or 404)',
+      'Custom size': '<img src="/api/logos/auto/github.com?size=128" alt="GitHub logo"> (16-512px)',
+      'Dark UI': '<img src="/api/logos/auto/github.com?theme=dark&bg=1e1e1e&padding=10&shape=rounded" alt="GitHub logo">',
+      'Custom format': '<img src="/api/logos/auto/github.com?format=webp" alt="GitHub logo"> (webp, avif, png, jpeg, ico, or svg for vector logos)',
       'Markdown': '![GitHub logo](/api/logos/auto/github.com)'
     },
     features: [
       'Auto-extracts logos on first request',
       'Returns actual image data for <img> tags',
-      'Fallback to Clearbit if extraction fails',
+      'Generated initials image (or transparent, Clearbit redirect, 404) when no logo is found',
       'Cached for fast subsequent requests',
+      'Resizes logos to the requested ?size=',
+      'Serves AVIF/WebP/PNG based on the Accept header, or ?format=',
+      'Background, padding, shape, grayscale and dark-theme transforms',
       'Supports ICO → PNG conversion'
     ]
   });
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
+module.exports.logoService = logoService;
\ No newline at end of file
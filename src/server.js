@@ -6,6 +6,7 @@ require('dotenv').config();
 
 const logoRoutes = require('./routes/logoRoutes');
 const CloudDatabaseService = require('./services/cloudDatabase');
+const ImageCache = require('./services/imageCache');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -32,7 +33,8 @@ app.get('/health', (req, res) => {
     database: cloudDb.getDatabaseInfo(),
     storage: require('./services/cloudStorage').prototype.getStorageInfo ? 
       new (require('./services/cloudStorage'))().getStorageInfo() : 
-      { provider: 'Local' }
+      { provider: 'Local' },
+    cache: ImageCache.getSharedCache().getStats()
   });
 });
 
@@ -69,6 +71,8 @@ cloudDb.initialize()
         console.log(`🔗 API docs: http://localhost:${PORT}/api/logos`);
         console.log(`☁️  Database: ${cloudDb.getDatabaseInfo().provider}`);
       });
+
+      logoRoutes.logoService.startRefreshScheduler();
     }
   })
   .catch((error) => {
@@ -1,4 +1,5 @@
 const { Pool } = require('pg');
+const Migrator = require('../database/migrator');
 
 class CloudDatabaseService {
   constructor() {
@@ -12,6 +13,13 @@ class CloudDatabaseService {
     const dbType = process.env.DB_TYPE || 'neon'; 
     
     switch (dbType.toLowerCase()) {
+      case 'sqlite':
+      case 'sqlite3':
+        return {
+          type: 'sqlite',
+          filename: process.env.SQLITE_PATH || 'data/company_logos.db',
+        };
+
       case 'postgres':
       case 'postgresql':
         return {
@@ -62,8 +70,34 @@ class CloudDatabaseService {
     }
   }
 
-  // Initialize database connection
-  async initialize() {
+  // Initialize database connection and apply pending migrations (unless DB_AUTO_MIGRATE=false)
+  async initialize({ migrate = process.env.DB_AUTO_MIGRATE !== 'false' } = {}) {
+    if (this.config.type === 'sqlite') {
+      try {
+        const { initDatabase } = this.loadSqliteModule();
+        try {
+          initDatabase(this.config.filename);
+        } catch (error) {
+          // The addon's binary is only loaded when the first database is opened
+          if (/bindings file|NODE_MODULE_VERSION/.test(error.message)) {
+            throw new Error('better-sqlite3 is installed but its native binding is missing or was built for another Node version, run `npm rebuild better-sqlite3`');
+          }
+          throw error;
+        }
+        console.log(`✅ Connected to SQLite database: ${this.config.filename}`);
+
+        if (migrate) {
+          await this.withMigrator(migrator => migrator.migrate());
+        }
+
+        this.connected = true;
+        return;
+      } catch (error) {
+        console.error('❌ SQLite database connection failed:', error.message);
+        throw new Error(`Failed to initialize database: ${error.message}`);
+      }
+    }
+
     // For PostgreSQL-based databases (Neon, Supabase, etc.)
     try {
       const connectionConfig = this.config.connectionString 
@@ -75,11 +109,12 @@ class CloudDatabaseService {
       // Test connection
       const client = await this.pool.connect();
       console.log('✅ Connected to cloud PostgreSQL database');
-      
-      // Create tables if they don't exist
-      await this.createTables(client);
-      
       client.release();
+
+      if (migrate) {
+        await this.withMigrator(migrator => migrator.migrate());
+      }
+
       this.connected = true;
     } catch (error) {
       console.error('❌ Cloud database connection failed:', error.message);
@@ -87,60 +122,42 @@ class CloudDatabaseService {
     }
   }
 
-  // Create PostgreSQL tables
-  async createTables(client) {
-    const createCompaniesTable = `
-      CREATE TABLE IF NOT EXISTS companies (
-        id SERIAL PRIMARY KEY,
-        name VARCHAR(255) NOT NULL,
-        domain VARCHAR(255) UNIQUE NOT NULL,
-        logo_url TEXT,
-        imgbb_id VARCHAR(255),
-        imgbb_url TEXT,
-        imgbb_delete_url TEXT,
-        logo_format VARCHAR(50),
-        logo_size INTEGER,
-        logo_width INTEGER,
-        logo_height INTEGER,
-        extracted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `;
+  // better-sqlite3 is an optional native addon, only installed where DB_TYPE=sqlite can build it
+  loadSqliteModule() {
+    try {
+      return require('../database/database');
+    } catch (error) {
+      if (error.code === 'MODULE_NOT_FOUND' && error.message.includes('better-sqlite3')) {
+        throw new Error('DB_TYPE=sqlite requires the optional better-sqlite3 package, install it with `npm install better-sqlite3`');
+      }
+      throw error;
+    }
+  }
 
-    const createLogoAttemptsTable = `
-      CREATE TABLE IF NOT EXISTS logo_attempts (
-        id SERIAL PRIMARY KEY,
-        company_id INTEGER REFERENCES companies(id) ON DELETE CASCADE,
-        attempt_url TEXT NOT NULL,
-        success BOOLEAN DEFAULT FALSE,
-        error_message TEXT,
-        attempted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `;
+  // Run fn with a Migrator bound to a single connection
+  async withMigrator(fn) {
+    if (this.config.type === 'sqlite') {
+      const { getMigrationAdapter } = require('../database/database');
+      return fn(new Migrator(getMigrationAdapter()));
+    }
 
-    const createIndexes = `
-      CREATE INDEX IF NOT EXISTS idx_companies_domain ON companies(domain);
-      CREATE INDEX IF NOT EXISTS idx_companies_updated_at ON companies(updated_at);
-      CREATE INDEX IF NOT EXISTS idx_logo_attempts_company_id ON logo_attempts(company_id);
-    `;
+    const client = await this.pool.connect();
+    // Serverless instances may start together, only one of them should migrate
+    await client.query("SELECT pg_advisory_lock(hashtext('company_logo_api_migrations'))");
 
-    await client.query(createCompaniesTable);
-    await client.query(createLogoAttemptsTable);
-    await client.query(createIndexes);
-    
-   
     try {
-      await client.query('ALTER TABLE companies ADD COLUMN IF NOT EXISTS imgbb_url TEXT');
-      console.log('✅ Cloud database schema updated');
-    } catch (error) {
-      console.log('ℹ️  Schema migration not needed or failed:', error.message);
+      return await fn(new Migrator({
+        type: 'postgres',
+        exec: sql => client.query(sql),
+        query: async (sql, params = []) => (await client.query(sql, params)).rows,
+      }));
+    } finally {
+      await client.query("SELECT pg_advisory_unlock(hashtext('company_logo_api_migrations'))");
+      client.release();
     }
-    
-    console.log('✅ Cloud database tables initialized');
   }
 
- 
+  // Insert a company, or replace the logo of the existing row for the same domain
   async createCompany(companyData) {
     if (this.config.type === 'sqlite') {
       const { companyDb } = require('../database/database');
@@ -148,8 +165,29 @@ class CloudDatabaseService {
     }
 
     const query = `
-      INSERT INTO companies (name, domain, logo_url, imgbb_id, imgbb_url, imgbb_delete_url, logo_format, logo_size, logo_width, logo_height)
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      INSERT INTO companies (name, domain, logo_url, storage_provider, storage_key, storage_delete_url, logo_format, logo_size, logo_width, logo_height, logo_hash, name_source)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+      ON CONFLICT (domain) DO UPDATE SET
+        -- A guess from the domain never replaces a name read from the site (e.g. when the homepage was unreachable this time)
+        name = CASE
+          WHEN EXCLUDED.name_source = 'domain' AND companies.name_source IS DISTINCT FROM 'domain' THEN companies.name
+          ELSE EXCLUDED.name
+        END,
+        name_source = CASE
+          WHEN EXCLUDED.name_source = 'domain' AND companies.name_source IS DISTINCT FROM 'domain' THEN companies.name_source
+          ELSE EXCLUDED.name_source
+        END,
+        logo_url = EXCLUDED.logo_url,
+        storage_provider = EXCLUDED.storage_provider,
+        storage_key = EXCLUDED.storage_key,
+        storage_delete_url = EXCLUDED.storage_delete_url,
+        logo_format = EXCLUDED.logo_format,
+        logo_size = EXCLUDED.logo_size,
+        logo_width = EXCLUDED.logo_width,
+        logo_height = EXCLUDED.logo_height,
+        logo_hash = EXCLUDED.logo_hash,
+        extracted_at = CURRENT_TIMESTAMP,
+        updated_at = CURRENT_TIMESTAMP
       RETURNING *
     `;
     
@@ -157,26 +195,52 @@ class CloudDatabaseService {
       companyData.name,
       companyData.domain,
       companyData.logo_url,
-      companyData.imgbb_id,
-      companyData.imgbb_url,
-      companyData.imgbb_delete_url,
+      companyData.storage_provider,
+      companyData.storage_key,
+      companyData.storage_delete_url,
       companyData.logo_format,
       companyData.logo_size,
       companyData.logo_width,
-      companyData.logo_height
+      companyData.logo_height,
+      companyData.logo_hash,
+      companyData.name_source
     ];
 
-    const result = await this.pool.query(query, values);
-    return result.rows[0];
+    // Company row and its inline logo bytes are written together
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await client.query(query, values);
+      const company = result.rows[0];
+
+      if (companyData.logo_data) {
+        await this.saveLogoBlob(company.id, 'original', companyData.logo_data, companyData.logo_content_type, client);
+      }
+
+      await client.query('COMMIT');
+      return company;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
   }
 
+  // Matches the company's own domain first, then any of its aliases
   async findByDomain(domain) {
     if (this.config.type === 'sqlite') {
       const { companyDb } = require('../database/database');
       return companyDb.findByDomain(domain);
     }
 
-    const query = 'SELECT * FROM companies WHERE domain = $1';
+    const query = `
+      SELECT * FROM companies
+      WHERE domain = $1
+         OR id = (SELECT company_id FROM domain_aliases WHERE alias = $1)
+      ORDER BY (domain = $1) DESC
+      LIMIT 1
+    `;
     const result = await this.pool.query(query, [domain]);
     return result.rows[0];
   }
@@ -217,6 +281,29 @@ class CloudDatabaseService {
     return result.rows;
   }
 
+  // Oldest logos first, skipping domains still in extraction back-off and excludedDomains,
+  // so domains that keep failing can't hold every batch
+  async findStaleCompanies(cutoff, limit = 10, excludedDomains = []) {
+    if (this.config.type === 'sqlite') {
+      const { companyDb } = require('../database/database');
+      return companyDb.findStale(cutoff, limit, excludedDomains);
+    }
+
+    const query = `
+      SELECT c.* FROM companies c
+      WHERE c.extracted_at < $1
+        AND NOT (c.domain = ANY($3))
+        AND NOT EXISTS (
+          SELECT 1 FROM extraction_failures f
+          WHERE f.domain = c.domain AND f.next_retry_at > $4
+        )
+      ORDER BY c.extracted_at ASC
+      LIMIT $2
+    `;
+    const result = await this.pool.query(query, [cutoff, limit, excludedDomains, new Date()]);
+    return result.rows;
+  }
+
   async deleteCompany(id) {
     if (this.config.type === 'sqlite') {
       const { companyDb } = require('../database/database');
@@ -228,6 +315,158 @@ class CloudDatabaseService {
     return result.rowCount > 0;
   }
 
+  // Logo blob operations
+  async saveLogoBlob(companyId, variant, data, contentType, client = this.pool) {
+    if (this.config.type === 'sqlite') {
+      const { logoBlobsDb } = require('../database/database');
+      return logoBlobsDb.save(companyId, variant, data, contentType);
+    }
+
+    const query = `
+      INSERT INTO logo_blobs (company_id, variant, data, content_type, size)
+      VALUES ($1, $2, $3, $4, $5)
+      ON CONFLICT (company_id, variant)
+      DO UPDATE SET data = EXCLUDED.data, content_type = EXCLUDED.content_type,
+                    size = EXCLUDED.size, created_at = CURRENT_TIMESTAMP
+    `;
+
+    await client.query(query, [companyId, variant, data, contentType || 'application/octet-stream', data.length]);
+  }
+
+  async getLogoBlob(companyId, variant = 'original') {
+    if (this.config.type === 'sqlite') {
+      const { logoBlobsDb } = require('../database/database');
+      return logoBlobsDb.get(companyId, variant);
+    }
+
+    const query = 'SELECT data, content_type, size FROM logo_blobs WHERE company_id = $1 AND variant = $2';
+    const result = await this.pool.query(query, [companyId, variant]);
+    const row = result.rows[0];
+
+    if (!row) return null;
+
+    return {
+      buffer: row.data,
+      contentType: row.content_type,
+      size: row.size,
+    };
+  }
+
+  async deleteLogoBlob(companyId, variant) {
+    if (this.config.type === 'sqlite') {
+      const { logoBlobsDb } = require('../database/database');
+      return logoBlobsDb.delete(companyId, variant);
+    }
+
+    const query = 'DELETE FROM logo_blobs WHERE company_id = $1 AND variant = $2';
+    const result = await this.pool.query(query, [companyId, variant]);
+    return result.rowCount > 0;
+  }
+
+  // Fill logo_data/logo_content_type on a company row stored in the blob table
+  async loadLogoData(companyData) {
+    if (companyData.storage_provider !== 'database') {
+      return companyData;
+    }
+
+    const blob = await this.getLogoBlob(companyData.id, companyData.storage_key || 'original');
+    if (!blob) {
+      return companyData;
+    }
+
+    return {
+      ...companyData,
+      logo_data: blob.buffer,
+      logo_content_type: blob.contentType,
+    };
+  }
+
+  // Extraction failure (negative cache) operations
+  async getExtractionFailure(domain) {
+    if (this.config.type === 'sqlite') {
+      const { extractionFailuresDb } = require('../database/database');
+      return extractionFailuresDb.get(domain);
+    }
+
+    const query = 'SELECT * FROM extraction_failures WHERE domain = $1';
+    const result = await this.pool.query(query, [domain]);
+    return result.rows[0];
+  }
+
+  async recordExtractionFailure(domain, failureCount, errorMessage, nextRetryAt) {
+    if (this.config.type === 'sqlite') {
+      const { extractionFailuresDb } = require('../database/database');
+      return extractionFailuresDb.record(domain, failureCount, errorMessage, nextRetryAt);
+    }
+
+    const query = `
+      INSERT INTO extraction_failures (domain, failure_count, last_error, last_attempt_at, next_retry_at)
+      VALUES ($1, $2, $3, CURRENT_TIMESTAMP, $4)
+      ON CONFLICT (domain) DO UPDATE SET
+        failure_count = EXCLUDED.failure_count,
+        last_error = EXCLUDED.last_error,
+        last_attempt_at = CURRENT_TIMESTAMP,
+        next_retry_at = EXCLUDED.next_retry_at
+      RETURNING *
+    `;
+
+    const result = await this.pool.query(query, [domain, failureCount, errorMessage, nextRetryAt]);
+    return result.rows[0];
+  }
+
+  async clearExtractionFailure(domain) {
+    if (this.config.type === 'sqlite') {
+      const { extractionFailuresDb } = require('../database/database');
+      return extractionFailuresDb.clear(domain);
+    }
+
+    const result = await this.pool.query('DELETE FROM extraction_failures WHERE domain = $1', [domain]);
+    return result.rowCount > 0;
+  }
+
+  // Not an edit of the logo, so updated_at (Last-Modified of the image) stays put
+  async saveLogoColors(companyId, colors, colorsHash) {
+    if (this.config.type === 'sqlite') {
+      const { companyDb } = require('../database/database');
+      return companyDb.saveColors(companyId, colors, colorsHash);
+    }
+
+    const result = await this.pool.query(
+      'UPDATE companies SET logo_colors = $2, colors_hash = $3 WHERE id = $1',
+      [companyId, JSON.stringify(colors), colorsHash]
+    );
+    return result.rowCount > 0;
+  }
+
+  // Domain alias operations
+  async addDomainAlias(alias, companyId) {
+    if (this.config.type === 'sqlite') {
+      const { domainAliasesDb } = require('../database/database');
+      return domainAliasesDb.add(alias, companyId);
+    }
+
+    const query = `
+      INSERT INTO domain_aliases (alias, company_id)
+      VALUES ($1, $2)
+      ON CONFLICT (alias) DO UPDATE SET company_id = EXCLUDED.company_id
+      RETURNING *
+    `;
+
+    const result = await this.pool.query(query, [alias, companyId]);
+    return result.rows[0];
+  }
+
+  async getDomainAliases(companyId) {
+    if (this.config.type === 'sqlite') {
+      const { domainAliasesDb } = require('../database/database');
+      return domainAliasesDb.getByCompanyId(companyId);
+    }
+
+    const query = 'SELECT alias FROM domain_aliases WHERE company_id = $1 ORDER BY alias';
+    const result = await this.pool.query(query, [companyId]);
+    return result.rows.map(row => row.alias);
+  }
+
   // Logo attempts operations
   async logAttempt(companyId, attemptUrl, success, errorMessage = null) {
     if (this.config.type === 'sqlite') {
@@ -307,6 +546,14 @@ class CloudDatabaseService {
 
 
   async close() {
+    if (this.config.type === 'sqlite') {
+      const { closeDatabase } = require('../database/database');
+      closeDatabase();
+      this.connected = false;
+      console.log('🔌 SQLite database connection closed');
+      return;
+    }
+
     if (this.pool) {
       await this.pool.end();
       this.connected = false;
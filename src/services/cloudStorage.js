@@ -1,19 +1,75 @@
-const axios = require('axios');
-const FormData = require('form-data');
+const crypto = require('crypto');
 const sharp = require('sharp');
+const ImgBBStorage = require('./storage/imgbbStorage');
+const LocalDiskStorage = require('./storage/localDiskStorage');
+const S3Storage = require('./storage/s3Storage');
+const SvgSanitizer = require('./svgSanitizer');
 
 class CloudStorageService {
   constructor() {
-    this.imgbbApiKey = process.env.IMGBB_API_KEY;
+    this.providerName = this.getProviderConfig();
+    this.providers = {};
+    // 'stream' proxies image bytes through the API, 'redirect' sends clients to the provider URL
+    this.delivery = process.env.STORAGE_DELIVERY === 'redirect' ? 'redirect' : 'stream';
     this.baseUrl = process.env.BASE_URL || 'http://localhost:3000';
     this.supportedFormats = ['png', 'jpg', 'jpeg', 'gif', 'webp']; 
     this.convertFormats = ['ico', 'svg', 'bmp', 'tiff']; 
+    this.svgSanitizer = new SvgSanitizer();
+  }
+
+  // Get storage provider name based on environment
+  getProviderConfig() {
+    // Without an explicit provider or ImgBB key, logo bytes are kept in the database
+    const providerName = (process.env.STORAGE_PROVIDER || (process.env.IMGBB_API_KEY ? 'imgbb' : 'database')).toLowerCase();
+
+    switch (providerName) {
+      case 'database':
+      case 'db':
+      case 'postgres':
+        return 'database';
+
+      case 'local':
+      case 'disk':
+      case 'filesystem':
+        return 'local';
+
+      case 's3':
+      case 'minio':
+        return 's3';
+
+      case 'imgbb':
+      default:
+        return 'imgbb';
+    }
+  }
+
+  // Providers are created on first use so rows stored by another provider stay readable
+  getProvider(providerName = null) {
+    const name = providerName || this.providerName;
+
+    if (!this.providers[name]) {
+      switch (name) {
+        case 'local':
+          this.providers[name] = new LocalDiskStorage();
+          break;
+        case 's3':
+          this.providers[name] = new S3Storage();
+          break;
+        case 'imgbb':
+          this.providers[name] = new ImgBBStorage();
+          break;
+        default:
+          throw new Error(`Unknown storage provider: ${name}`);
+      }
+    }
+
+    return this.providers[name];
   }
 
   
   async convertToPNG(imageBuffer, originalFormat) {
     try {
-      console.log(`🔄 Converting ${originalFormat} to PNG for ImgBB upload...`);
+      console.log(`🔄 Converting ${originalFormat} to PNG for storage...`);
       
       if (originalFormat === 'ico') {
        
@@ -37,10 +93,14 @@ class CloudStorageService {
           .toBuffer();
           
       } else if (originalFormat === 'svg') {
-      
-        return await sharp(imageBuffer)
+        // Render at a density that fills 512px instead of upscaling a small default-size raster
+        const metadata = await sharp(imageBuffer).metadata();
+        const longestSide = Math.max(metadata.width || 0, metadata.height || 0) || 512;
+        const density = Math.min(2400, Math.max(72, Math.ceil(72 * 512 / longestSide)));
+
+        return await sharp(imageBuffer, { density })
           .png()
-          .resize(512, 512, { fit: 'inside', withoutEnlargement: true })
+          .resize(512, 512, { fit: 'inside' })
           .toBuffer();
       } else {
      
@@ -56,6 +116,15 @@ class CloudStorageService {
   }
 
   
+  getMimeType(format) {
+    const mimeTypes = {
+      svg: 'image/svg+xml',
+      ico: 'image/x-icon',
+      jpg: 'image/jpeg'
+    };
+    return mimeTypes[format] || `image/${format}`;
+  }
+
   needsConversion(format) {
     return this.convertFormats.includes(format.toLowerCase());
   }
@@ -111,127 +180,113 @@ class CloudStorageService {
         }
       }
     }
+
+    if (this.svgSanitizer.isSvg(buffer)) return 'svg';
     
     return null;
   }
 
  
-  async uploadToImgBB(imageBuffer, filename) {
-    if (!this.imgbbApiKey) {
-      throw new Error('ImgBB API key not configured');
+  // False when logo bytes are kept in the database instead of a storage provider
+  usesExternalStorage() {
+    return this.providerName !== 'database';
+  }
+
+  // Convert formats sharp can't serve (ICO, BMP, ...) to PNG and validate the result.
+  // SVGs are always sanitized and stay vectors unless the destination can't hold them (keepVector: false)
+  async prepareForStorage(imageBuffer, filename, { keepVector = true } = {}) {
+    const originalFormat = this.detectFormatFromBuffer(imageBuffer) || this.detectFormatFromFilename(filename);
+    let buffer = imageBuffer;
+    let format = originalFormat;
+    let convertedFilename = filename;
+
+    if (originalFormat === 'svg') {
+      buffer = this.svgSanitizer.sanitize(imageBuffer);
     }
 
-    try {
-     
-      const originalFormat = this.detectFormatFromBuffer(imageBuffer) || this.detectFormatFromFilename(filename);
-      let uploadBuffer = imageBuffer;
-      let uploadFormat = originalFormat;
-      let convertedFilename = filename;
+    const converted = this.needsConversion(originalFormat) && !(originalFormat === 'svg' && keepVector);
 
-      
-      if (this.needsConversion(originalFormat)) {
-        console.log(`📸 Converting ${originalFormat} to PNG for ImgBB compatibility...`);
-        uploadBuffer = await this.convertToPNG(imageBuffer, originalFormat);
-        uploadFormat = 'png';
-        convertedFilename = filename.replace(/\.[^.]+$/, '.png');
-      }
+    if (converted) {
+      console.log(`📸 Converting ${originalFormat} to PNG for storage...`);
+      buffer = await this.convertToPNG(buffer, originalFormat);
+      format = 'png';
+      convertedFilename = filename.replace(/\.[^.]+$/, '.png');
+    }
 
-   
-      this.validateImage(uploadBuffer);
-
-      const formData = new FormData();
-      formData.append('image', uploadBuffer.toString('base64'));
-      formData.append('name', convertedFilename);
-
-      console.log(`☁️  Uploading to ImgBB: ${convertedFilename} (${uploadFormat}, ${uploadBuffer.length} bytes)`);
-
-      const response = await axios.post(
-        `https://api.imgbb.com/1/upload?key=${this.imgbbApiKey}`,
-        formData,
-        {
-          headers: {
-            ...formData.getHeaders(),
-          },
-          timeout: 30000,
-        }
-      );
+    this.validateImage(buffer);
 
-      if (response.data.success) {
-        const imgbbData = response.data.data;
-        
-        console.log(`✅ ImgBB upload successful: ${imgbbData.url}`);
-        
-       
-        return {
-          original_url: imgbbData.url,
-          imgbb_id: imgbbData.id,
-          imgbb_full_url: imgbbData.url, // Store full URL for direct access
-          delete_url: imgbbData.delete_url,
-          size: imgbbData.size,
-          width: imgbbData.width,
-          height: imgbbData.height,
-          mime: imgbbData.image.mime,
-          original_format: originalFormat,
-          uploaded_format: uploadFormat,
-          converted: this.needsConversion(originalFormat)
-        };
-      } else {
-        throw new Error('ImgBB upload failed: ' + JSON.stringify(response.data));
-      }
-    } catch (error) {
-      console.error('ImgBB upload error:', error.message);
-      
-      // Log more details for debugging
-      if (error.response) {
-        console.error('ImgBB API Response:', {
-          status: error.response.status,
-          statusText: error.response.statusText,
-          data: error.response.data
-        });
-      }
-      
-      throw new Error(`Failed to upload to ImgBB: ${error.message}`);
+    return {
+      buffer,
+      format,
+      hash: crypto.createHash('sha256').update(buffer).digest('hex'),
+      filename: convertedFilename,
+      mime: this.getMimeType(format),
+      original_format: originalFormat,
+      converted
+    };
+  }
+
+  // Convert if needed, validate, then hand the image to the configured provider
+  async upload(imageBuffer, filename) {
+    const provider = this.getProvider();
+    const prepared = await this.prepareForStorage(imageBuffer, filename, {
+      keepVector: provider.supportsVector
+    });
+
+    const stored = await provider.upload(prepared.buffer, prepared.filename, {
+      contentType: prepared.mime
+    });
+
+    // Providers that don't report dimensions get them from sharp
+    let { width, height } = stored;
+    if (!width || !height) {
+      const metadata = await sharp(prepared.buffer).metadata().catch(() => ({}));
+      width = metadata.width;
+      height = metadata.height;
     }
+
+    return {
+      provider: provider.name,
+      key: stored.key,
+      url: stored.url,
+      delete_url: stored.delete_url,
+      size: stored.size || prepared.buffer.length,
+      hash: prepared.hash,
+      width,
+      height,
+      mime: stored.mime || prepared.mime,
+      original_format: prepared.original_format,
+      uploaded_format: prepared.format,
+      converted: prepared.converted
+    };
+  }
+
+  // Read an image back from whichever provider stored it
+  async getImage(key, providerName = null) {
+    return this.getProvider(providerName).getImage(key);
   }
 
-  // Delete image from ImgBB
-  async deleteFromImgBB(deleteUrl) {
+  // Direct URL for redirect delivery, null when the provider can't hand one out
+  async getPublicUrl(key, providerName = null) {
+    const provider = this.getProvider(providerName);
+    if (typeof provider.getUrl !== 'function') {
+      return null;
+    }
+
     try {
-      await axios.get(deleteUrl);
-      return true;
+      return await provider.getUrl(key);
     } catch (error) {
-      console.error('ImgBB delete error:', error.message);
-      return false;
+      console.error('Storage URL error:', error.message);
+      return null;
     }
   }
 
-  // Get image from ImgBB (for direct access)
-  async getImageFromImgBB(imgbbIdOrUrl) {
+  async delete(key, providerName = null, deleteUrl = null) {
     try {
-      // If it's a full URL, use it directly, otherwise construct from ID
-      let imgbbUrl;
-      if (imgbbIdOrUrl.startsWith('http')) {
-        imgbbUrl = imgbbIdOrUrl;
-      } else {
-        // This is a fallback - in practice we should store the full URL
-        imgbbUrl = `https://i.ibb.co/${imgbbIdOrUrl}`;
-      }
-      
-      console.log(`🔗 Fetching image from ImgBB: ${imgbbUrl}`);
-      
-      const response = await axios.get(imgbbUrl, {
-        responseType: 'arraybuffer',
-        timeout: 10000,
-      });
-
-      return {
-        buffer: Buffer.from(response.data),
-        contentType: response.headers['content-type'] || 'image/png',
-        size: response.data.length,
-      };
+      return await this.getProvider(providerName).delete(key, deleteUrl);
     } catch (error) {
-      console.error('ImgBB fetch error:', error.message);
-      throw new Error(`Failed to fetch image from ImgBB: ${error.message}`);
+      console.error('Storage delete error:', error.message);
+      return false;
     }
   }
 
@@ -243,18 +298,12 @@ class CloudStorageService {
       errors: []
     };
 
-    // Try ImgBB as primary
     try {
-      results.primary = await this.uploadToImgBB(imageBuffer, filename);
+      results.primary = await this.upload(imageBuffer, filename);
     } catch (error) {
-      results.errors.push({ service: 'imgbb', error: error.message });
+      results.errors.push({ service: this.providerName, error: error.message });
     }
 
-    // Could add more free services here as fallbacks
-    // - Imgur (if you have API key)
-    // - PostImages
-    // - ImageBB alternatives
-
     return results;
   }
 
@@ -294,14 +343,23 @@ class CloudStorageService {
 
   // Get storage info
   getStorageInfo() {
+    if (!this.usesExternalStorage()) {
+      return {
+        provider: 'Database',
+        features: {
+          upload: true,
+          delete: true,
+          svg: true,
+          maxSize: '5MB',
+          freeLimit: 'Database size',
+        },
+        baseUrl: this.baseUrl,
+      };
+    }
+
     return {
-      provider: 'ImgBB',
-      features: {
-        upload: !!this.imgbbApiKey,
-        delete: true,
-        maxSize: '32MB',
-        freeLimit: 'Unlimited (with API key)',
-      },
+      ...this.getProvider().getInfo(),
+      delivery: this.delivery,
       baseUrl: this.baseUrl,
     };
   }
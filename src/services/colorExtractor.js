@@ -0,0 +1,120 @@
+const sharp = require('sharp');
+
+// Dominant and accent colors of a logo, from a downsampled copy of its pixels
+class ColorExtractor {
+  constructor(options = {}) {
+    this.sampleSize = options.sampleSize || 64;
+    this.paletteSize = options.paletteSize || 5;
+    // Pixels with less alpha than this are background, not brand
+    this.minAlpha = 128;
+    // Near-white is almost always the background or padding of the logo
+    this.whiteThreshold = 240;
+    // Colors closer than this (RGB distance) are shades of the same color
+    this.mergeDistance = 48;
+    // An accent must differ clearly from the dominant color and cover some of the logo
+    this.accentDistance = 80;
+    this.minAccentWeight = 0.02;
+  }
+
+  // Returns { dominant, accent, palette }; entries are { hex, weight }, weight being the share of opaque, non-white pixels
+  async extract(imageBuffer) {
+    const { data, info } = await sharp(imageBuffer)
+      // Nearest-neighbour sampling avoids inventing blended edge colors
+      .resize(this.sampleSize, this.sampleSize, { fit: 'inside', kernel: 'nearest' })
+      .ensureAlpha()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    // Bucket by the top 5 bits of each channel, keeping running sums for the bucket's mean color
+    const buckets = new Map();
+    let counted = 0;
+
+    for (let offset = 0; offset < data.length; offset += info.channels) {
+      const [r, g, b, a] = [data[offset], data[offset + 1], data[offset + 2], data[offset + 3]];
+
+      if (a < this.minAlpha) continue;
+      if (r >= this.whiteThreshold && g >= this.whiteThreshold && b >= this.whiteThreshold) continue;
+
+      const key = ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+      const bucket = buckets.get(key) || { count: 0, r: 0, g: 0, b: 0 };
+      bucket.count++;
+      bucket.r += r;
+      bucket.g += g;
+      bucket.b += b;
+      buckets.set(key, bucket);
+      counted++;
+    }
+
+    if (counted === 0) {
+      return { dominant: null, accent: null, palette: [] };
+    }
+
+    const clusters = this.mergeBuckets(Array.from(buckets.values()));
+    const palette = clusters.slice(0, this.paletteSize).map(cluster => ({
+      hex: this.toHex(cluster),
+      weight: Number((cluster.count / counted).toFixed(3)),
+      rgb: cluster
+    }));
+
+    const dominant = palette[0];
+    const accent = palette
+      .slice(1)
+      .filter(color => color.weight >= this.minAccentWeight && this.distance(color.rgb, dominant.rgb) >= this.accentDistance)
+      .sort((a, b) => this.saturation(b.rgb) * Math.sqrt(b.weight) - this.saturation(a.rgb) * Math.sqrt(a.weight))[0] || null;
+
+    const strip = color => color && { hex: color.hex, weight: color.weight };
+
+    return {
+      dominant: strip(dominant),
+      accent: strip(accent),
+      palette: palette.map(strip)
+    };
+  }
+
+  // Greedily fold buckets into the most populous nearby cluster, largest buckets first
+  mergeBuckets(buckets) {
+    const clusters = [];
+
+    buckets
+      .map(bucket => ({ count: bucket.count, r: bucket.r / bucket.count, g: bucket.g / bucket.count, b: bucket.b / bucket.count }))
+      .sort((a, b) => b.count - a.count)
+      .forEach(bucket => {
+        const cluster = clusters.find(candidate => this.distance(candidate, bucket) < this.mergeDistance);
+
+        if (!cluster) {
+          clusters.push({ ...bucket });
+          return;
+        }
+
+        const total = cluster.count + bucket.count;
+        cluster.r = (cluster.r * cluster.count + bucket.r * bucket.count) / total;
+        cluster.g = (cluster.g * cluster.count + bucket.g * bucket.count) / total;
+        cluster.b = (cluster.b * cluster.count + bucket.b * bucket.count) / total;
+        cluster.count = total;
+      });
+
+    return clusters.sort((a, b) => b.count - a.count);
+  }
+
+  distance(a, b) {
+    return Math.sqrt((a.r - b.r) ** 2 + (a.g - b.g) ** 2 + (a.b - b.b) ** 2);
+  }
+
+  // HSL saturation in 0..1
+  saturation({ r, g, b }) {
+    const max = Math.max(r, g, b) / 255;
+    const min = Math.min(r, g, b) / 255;
+    const lightness = (max + min) / 2;
+
+    if (max === min) return 0;
+    return (max - min) / (1 - Math.abs(2 * lightness - 1));
+  }
+
+  toHex({ r, g, b }) {
+    return '#' + [r, g, b]
+      .map(channel => Math.round(channel).toString(16).padStart(2, '0'))
+      .join('');
+  }
+}
+
+module.exports = ColorExtractor;
@@ -0,0 +1,45 @@
+// Runs at most `max` tasks at once; the rest wait, highest priority first and FIFO among equals
+class ConcurrencyLimit {
+  constructor(max) {
+    this.max = Math.max(1, max);
+    this.active = 0;
+    this.queue = [];
+  }
+
+  run(fn, priority = 0) {
+    return new Promise((resolve, reject) => {
+      const index = this.queue.findIndex(task => task.priority < priority);
+      const task = { fn, priority, resolve, reject };
+      if (index === -1) {
+        this.queue.push(task);
+      } else {
+        this.queue.splice(index, 0, task);
+      }
+      // Start on a microtask, so tasks queued together are ordered by priority before any runs
+      queueMicrotask(() => this.next());
+    });
+  }
+
+  next() {
+    if (this.active >= this.max || this.queue.length === 0) {
+      return;
+    }
+
+    const { fn, resolve, reject } = this.queue.shift();
+    this.active++;
+
+    Promise.resolve()
+      .then(fn)
+      .then(resolve, reject)
+      .finally(() => {
+        this.active--;
+        this.next();
+      });
+  }
+
+  get pending() {
+    return this.queue.length;
+  }
+}
+
+module.exports = ConcurrencyLimit;
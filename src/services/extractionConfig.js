@@ -0,0 +1,93 @@
+const fs = require('fs');
+const path = require('path');
+const Company = require('../models/Company');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', '..', 'config', 'extraction.json');
+
+// Extraction methods a config may list, in the order LogoExtractor knows them
+const METHODS = ['third-party', 'favicon', 'common-paths', 'webpage'];
+
+// Which extraction methods run, which logo services they query, and per-domain rules
+class ExtractionConfig {
+  constructor(config = {}, source = 'inline config') {
+    this.source = source;
+    this.methods = config.methods || METHODS;
+
+    const unknown = this.methods.filter(method => !METHODS.includes(method));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown extraction method(s) in ${source}: ${unknown.join(', ')}`);
+    }
+
+    this.thirdPartySources = (config.thirdParty || [])
+      .filter(service => service.enabled !== false)
+      .map(service => this.resolveCredentials(service))
+      .filter(Boolean);
+
+    // Rules are keyed by the same normalized domain the extractor sees
+    this.domainRules = new Map();
+    Object.entries(config.domains || {}).forEach(([domain, rule]) => {
+      this.domainRules.set(Company.normalizeDomain(domain), {
+        block: rule.block === true,
+        skipHtml: rule.skipHtml === true,
+        logoUrl: rule.logoUrl || null
+      });
+    });
+  }
+
+  static load(filePath = process.env.EXTRACTION_CONFIG_PATH || DEFAULT_CONFIG_PATH) {
+    let config;
+    try {
+      config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to read extraction config ${filePath}: ${error.message}`);
+    }
+
+    return new ExtractionConfig(config, filePath);
+  }
+
+  // Loaded once per process, shared by the extractor and the routes
+  static getSharedConfig() {
+    if (!ExtractionConfig.sharedConfig) {
+      ExtractionConfig.sharedConfig = ExtractionConfig.load();
+    }
+    return ExtractionConfig.sharedConfig;
+  }
+
+  // Fill {placeholders} from the env variables named in `credentials`; a service missing one is left out
+  resolveCredentials(service) {
+    let url = service.url;
+
+    for (const [placeholder, envName] of Object.entries(service.credentials || {})) {
+      const value = process.env[envName];
+      if (!value) {
+        console.log(`⏭️  Logo service ${service.name} disabled: ${envName} is not set`);
+        return null;
+      }
+      url = url.split(`{${placeholder}}`).join(encodeURIComponent(value));
+    }
+
+    return { name: service.name, url };
+  }
+
+  getThirdPartyUrls(domain) {
+    return this.thirdPartySources.map(service => service.url.split('{domain}').join(domain));
+  }
+
+  getDomainRule(domain) {
+    return this.domainRules.get(domain) || { block: false, skipHtml: false, logoUrl: null };
+  }
+
+  isBlocked(domain) {
+    return this.getDomainRule(domain).block;
+  }
+
+  getBlockedDomains() {
+    return Array.from(this.domainRules.entries())
+      .filter(([, rule]) => rule.block)
+      .map(([domain]) => domain);
+  }
+}
+
+ExtractionConfig.METHODS = METHODS;
+
+module.exports = ExtractionConfig;
@@ -0,0 +1,105 @@
+// In-process LRU for image buffers, bounded by entry count, total bytes and age
+class ImageCache {
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || parseInt(process.env.IMAGE_CACHE_MAX_ENTRIES) || 1000;
+    this.maxBytes = options.maxBytes || parseInt(process.env.IMAGE_CACHE_MAX_BYTES) || 64 * 1024 * 1024;
+    this.ttl = (options.ttlSeconds || parseInt(process.env.IMAGE_CACHE_TTL_SECONDS) || 3600) * 1000;
+    // Map keeps insertion order, so the first key is always the least recently used
+    this.entries = new Map();
+    this.bytes = 0;
+    this.stats = { hits: 0, misses: 0, evictions: 0, expirations: 0 };
+  }
+
+  // One cache for the whole process, shared by the routes and /health
+  static getSharedCache() {
+    if (!ImageCache.sharedCache) {
+      ImageCache.sharedCache = new ImageCache();
+    }
+    return ImageCache.sharedCache;
+  }
+
+  // Values are { buffer, contentType, ... }
+  get(key) {
+    const entry = this.entries.get(key);
+
+    if (!entry) {
+      this.stats.misses++;
+      return undefined;
+    }
+
+    if (entry.expiresAt <= Date.now()) {
+      this.remove(key);
+      this.stats.expirations++;
+      this.stats.misses++;
+      return undefined;
+    }
+
+    // Re-insert to mark as most recently used
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.stats.hits++;
+    return entry.value;
+  }
+
+  set(key, value) {
+    const size = value.buffer ? value.buffer.length : 0;
+
+    // Anything bigger than the whole cache would just evict everything else
+    if (size > this.maxBytes) {
+      return false;
+    }
+
+    this.remove(key);
+
+    while (this.entries.size >= this.maxEntries || this.bytes + size > this.maxBytes) {
+      this.remove(this.entries.keys().next().value);
+      this.stats.evictions++;
+    }
+
+    this.entries.set(key, { value, size, expiresAt: Date.now() + this.ttl });
+    this.bytes += size;
+    return true;
+  }
+
+  remove(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return false;
+
+    this.entries.delete(key);
+    this.bytes -= entry.size;
+    return true;
+  }
+
+  // Drop every entry whose key starts with prefix (e.g. all variants of one company)
+  removeByPrefix(prefix) {
+    let removed = 0;
+    for (const key of Array.from(this.entries.keys())) {
+      if (key.startsWith(prefix)) {
+        this.remove(key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  clear() {
+    this.entries.clear();
+    this.bytes = 0;
+  }
+
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+
+    return {
+      entries: this.entries.size,
+      bytes: this.bytes,
+      maxEntries: this.maxEntries,
+      maxBytes: this.maxBytes,
+      ttlSeconds: this.ttl / 1000,
+      ...this.stats,
+      hitRate: lookups > 0 ? Number((this.stats.hits / lookups).toFixed(3)) : 0,
+    };
+  }
+}
+
+module.exports = ImageCache;
@@ -0,0 +1,356 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const ImageCache = require('./imageCache');
+
+class ImageProcessor {
+  constructor(cache = ImageCache.getSharedCache()) {
+    this.minSize = 16;
+    this.maxSize = 512;
+    this.cache = cache;
+    this.outputFormats = {
+      avif: 'image/avif',
+      webp: 'image/webp',
+      png: 'image/png',
+      jpeg: 'image/jpeg',
+      ico: 'image/x-icon',
+      // Only for logos stored as (sanitized) vectors, never chosen by negotiation
+      svg: 'image/svg+xml'
+    };
+    this.icoSizes = [16, 32, 48];
+    this.shapes = ['circle', 'rounded', 'square'];
+    this.themes = ['light', 'dark'];
+    // Padding is a percentage of the output edge, per side
+    this.maxPadding = 40;
+  }
+
+  // Parse a ?size= value and clamp it to the supported range (null when absent or invalid)
+  normalizeSize(size) {
+    const parsed = parseInt(size);
+    if (!Number.isFinite(parsed) || parsed <= 0) {
+      return null;
+    }
+
+    return Math.min(this.maxSize, Math.max(this.minSize, parsed));
+  }
+
+  // Map a ?format= value to a supported output format (null when unsupported)
+  normalizeFormat(format) {
+    // A repeated ?format= arrives as an array
+    if (!format || typeof format !== 'string') return null;
+
+    const normalized = format.toLowerCase().trim();
+    const aliases = { jpg: 'jpeg', 'x-icon': 'ico' };
+    const resolved = aliases[normalized] || normalized;
+
+    return this.outputFormats[resolved] ? resolved : null;
+  }
+
+  // Parse ?bg=, ?padding=, ?shape=, ?grayscale and ?theme= into { transforms, error }.
+  // transforms only holds the ones that change the image, so equivalent URLs share a cache entry
+  normalizeTransforms(query = {}) {
+    const transforms = {};
+
+    if (query.bg !== undefined) {
+      const hex = String(query.bg).trim().replace(/^#/, '').toLowerCase();
+      if (!/^([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/.test(hex)) {
+        return { error: 'Invalid bg. Use a hex color such as ffffff or 1e1e1e' };
+      }
+      transforms.bg = `#${hex.length === 3 ? hex.split('').map(c => c + c).join('') : hex}`;
+    }
+
+    if (query.padding !== undefined) {
+      const padding = Number(query.padding);
+      if (!Number.isFinite(padding) || padding < 0 || padding > this.maxPadding) {
+        return { error: `Invalid padding. Use a percentage between 0 and ${this.maxPadding}` };
+      }
+      if (padding > 0) transforms.padding = Math.round(padding);
+    }
+
+    if (query.shape !== undefined) {
+      const shape = String(query.shape).toLowerCase();
+      if (!this.shapes.includes(shape)) {
+        return { error: `Invalid shape. Use one of: ${this.shapes.join(', ')}` };
+      }
+      transforms.shape = shape;
+    }
+
+    // ?grayscale on its own means on
+    if (query.grayscale !== undefined && !['false', '0', 'no'].includes(String(query.grayscale).toLowerCase())) {
+      transforms.grayscale = true;
+    }
+
+    if (query.theme !== undefined) {
+      const theme = String(query.theme).toLowerCase();
+      if (!this.themes.includes(theme)) {
+        return { error: `Invalid theme. Use one of: ${this.themes.join(', ')}` };
+      }
+      if (theme === 'dark') transforms.theme = 'dark';
+    }
+
+    return { transforms };
+  }
+
+  // Canonical string for a set of transforms ('' when there are none), used in cache keys and ETags
+  getTransformKey(transforms = {}) {
+    return [
+      transforms.bg && `bg=${transforms.bg.slice(1)}`,
+      transforms.padding && `padding=${transforms.padding}`,
+      transforms.shape && `shape=${transforms.shape}`,
+      transforms.grayscale && 'grayscale',
+      transforms.theme && `theme=${transforms.theme}`
+    ].filter(Boolean).join(',');
+  }
+
+  // Pick the best format the client accepts: AVIF, then WebP, then PNG
+  negotiateFormat(acceptHeader = '') {
+    const accepted = acceptHeader
+      .split(',')
+      .map(part => part.trim().split(';'))
+      .filter(([, ...params]) => !params.some(param => /^\s*q=0(\.0*)?\s*$/.test(param)))
+      .map(([type]) => type.toLowerCase());
+
+    if (accepted.includes('image/avif')) return 'avif';
+    if (accepted.includes('image/webp')) return 'webp';
+    return 'png';
+  }
+
+  getContentType(format) {
+    return this.outputFormats[format] || 'application/octet-stream';
+  }
+
+  // Map a Content-Type header back to an output format (null for anything else)
+  formatFromContentType(contentType = '') {
+    const mime = contentType.split(';')[0].trim().toLowerCase();
+    const match = Object.entries(this.outputFormats).find(([, type]) => type === mime);
+    return match ? match[0] : null;
+  }
+
+  // Weak ETag for a variant: re-encoding the same source can differ byte-wise across sharp versions
+  getETag(contentHash, { size = null, format = 'png', transforms = {} } = {}) {
+    const transformKey = this.getTransformKey(transforms);
+    const digest = crypto
+      .createHash('sha1')
+      .update(`${contentHash}:${size || 'original'}:${format}${transformKey ? `:${transformKey}` : ''}`)
+      .digest('base64url');
+
+    return `W/"${digest}"`;
+  }
+
+  // Open an image for encoding; SVGs are rendered at a density that makes the target size crisp
+  async open(imageBuffer, size = null) {
+    const metadata = await sharp(imageBuffer).metadata();
+    if (metadata.format !== 'svg') {
+      return { pipeline: sharp(imageBuffer), isVector: false };
+    }
+
+    const target = size || this.maxSize;
+    const longestSide = Math.max(metadata.width || 0, metadata.height || 0) || target;
+    const density = Math.min(2400, Math.max(72, Math.ceil(72 * target / longestSide)));
+
+    return { pipeline: sharp(imageBuffer, { density }), isVector: true };
+  }
+
+  // Resize into a size x size square, keeping the aspect ratio and padding with transparency
+  resizePipeline(pipeline, size) {
+    return pipeline.resize(size, size, {
+      fit: 'contain',
+      background: { r: 0, g: 0, b: 0, alpha: 0 }
+    });
+  }
+
+  // Encode an image at an optional size into one of the output formats
+  async encode(imageBuffer, { size = null, format = 'png', background = '#ffffff' } = {}) {
+    try {
+      if (format === 'ico') {
+        return await this.encodeICO(imageBuffer, size ? [Math.min(size, 256)] : this.icoSizes);
+      }
+
+      let { pipeline, isVector } = await this.open(imageBuffer, size);
+      if (size) {
+        pipeline = this.resizePipeline(pipeline, size);
+      } else if (isVector) {
+        // A vector has no "original" raster size, render it at the largest supported one
+        pipeline = pipeline.resize(this.maxSize, this.maxSize, { fit: 'inside' });
+      }
+
+      switch (format) {
+        case 'avif':
+          return await pipeline.avif().toBuffer();
+        case 'webp':
+          return await pipeline.webp().toBuffer();
+        case 'jpeg':
+          // JPEG has no alpha channel, so transparent logos go on white (or the requested bg)
+          return await pipeline.flatten({ background: background.slice(0, 7) }).jpeg().toBuffer();
+        case 'png':
+        default:
+          return await pipeline.png().toBuffer();
+      }
+    } catch (error) {
+      console.error('Image encoding failed:', error.message);
+      throw new Error(`Failed to encode image as ${format}: ${error.message}`);
+    }
+  }
+
+  // Apply transforms to the source and return a PNG (size x size when sized, padded or shaped)
+  async applyTransforms(imageBuffer, { size = null, transforms = {} } = {}) {
+    const { pipeline, isVector } = await this.open(imageBuffer, size);
+    let buffer = await (isVector && !size ? pipeline.resize(this.maxSize, this.maxSize, { fit: 'inside' }) : pipeline)
+      .ensureAlpha()
+      .png()
+      .toBuffer();
+
+    if (transforms.theme === 'dark' && await this.isDarkMonochrome(buffer)) {
+      // A black logo would vanish on a dark background, flip it to white keeping its transparency
+      buffer = await sharp(buffer).negate({ alpha: false }).png().toBuffer();
+    }
+
+    if (transforms.grayscale) {
+      buffer = await sharp(buffer).grayscale().toColourspace('srgb').ensureAlpha().png().toBuffer();
+    }
+
+    const metadata = await sharp(buffer).metadata();
+    const squareCanvas = size || transforms.padding || transforms.shape;
+    const width = squareCanvas ? size || Math.min(this.maxSize, Math.max(metadata.width, metadata.height)) : metadata.width;
+    const height = squareCanvas ? width : metadata.height;
+
+    if (squareCanvas) {
+      const inner = Math.max(1, Math.round(width * (1 - 2 * (transforms.padding || 0) / 100)));
+      const resized = await this.resizePipeline(sharp(buffer), inner).png().toBuffer();
+      const offset = Math.floor((width - inner) / 2);
+
+      buffer = await sharp(resized)
+        .extend({
+          top: offset,
+          left: offset,
+          bottom: width - inner - offset,
+          right: width - inner - offset,
+          background: { r: 0, g: 0, b: 0, alpha: 0 }
+        })
+        .png()
+        .toBuffer();
+    }
+
+    if (transforms.bg) {
+      buffer = await sharp({ create: { width, height, channels: 4, background: transforms.bg } })
+        .composite([{ input: buffer }])
+        .png()
+        .toBuffer();
+    }
+
+    if (transforms.shape === 'circle' || transforms.shape === 'rounded') {
+      const mask = transforms.shape === 'circle'
+        ? `<circle cx="${width / 2}" cy="${height / 2}" r="${width / 2}"/>`
+        : `<rect width="${width}" height="${height}" rx="${Math.round(width * 0.2)}"/>`;
+
+      buffer = await sharp(buffer)
+        .composite([{
+          input: Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">${mask}</svg>`),
+          blend: 'dest-in'
+        }])
+        .png()
+        .toBuffer();
+    }
+
+    return buffer;
+  }
+
+  // True for logos drawn in (near-)black only, like most monochrome wordmarks on transparency
+  async isDarkMonochrome(imageBuffer) {
+    const { data, info } = await sharp(imageBuffer)
+      .resize(64, 64, { fit: 'inside', kernel: 'nearest' })
+      .ensureAlpha()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    let opaque = 0;
+    let dark = 0;
+    for (let offset = 0; offset < data.length; offset += info.channels) {
+      if (data[offset + 3] < 128) continue;
+      opaque++;
+
+      const max = Math.max(data[offset], data[offset + 1], data[offset + 2]);
+      const min = Math.min(data[offset], data[offset + 1], data[offset + 2]);
+      if (max < 80 && max - min < 40) dark++;
+    }
+
+    return opaque > 0 && dark / opaque >= 0.85;
+  }
+
+  // Build an ICO container with PNG-compressed entries (supported since Windows Vista)
+  async encodeICO(imageBuffer, sizes) {
+    const entries = await Promise.all(sizes.map(async size => {
+      const { pipeline } = await this.open(imageBuffer, size);
+      return { size, data: await this.resizePipeline(pipeline, size).png().toBuffer() };
+    }));
+
+    const header = Buffer.alloc(6);
+    header.writeUInt16LE(0, 0); // reserved
+    header.writeUInt16LE(1, 2); // type: icon
+    header.writeUInt16LE(entries.length, 4);
+
+    const directory = Buffer.alloc(16 * entries.length);
+    let offset = header.length + directory.length;
+
+    entries.forEach((entry, index) => {
+      const position = index * 16;
+      // A width/height byte of 0 means 256px
+      directory.writeUInt8(entry.size >= 256 ? 0 : entry.size, position);
+      directory.writeUInt8(entry.size >= 256 ? 0 : entry.size, position + 1);
+      directory.writeUInt8(0, position + 2); // no palette
+      directory.writeUInt8(0, position + 3); // reserved
+      directory.writeUInt16LE(1, position + 4); // color planes
+      directory.writeUInt16LE(32, position + 6); // bits per pixel
+      directory.writeUInt32LE(entry.data.length, position + 8);
+      directory.writeUInt32LE(offset, position + 12);
+      offset += entry.data.length;
+    });
+
+    return Buffer.concat([header, directory, ...entries.map(entry => entry.data)]);
+  }
+
+  // Return a cached variant, or build it from loadImage()'s { buffer, contentType } and cache it
+  async getVariant(cacheKey, { size = null, format = 'png', transforms = {} }, loadImage) {
+    const transformKey = this.getTransformKey(transforms);
+    const key = `${cacheKey}:variant:${size || 'original'}:${format}${transformKey ? `:${transformKey}` : ''}`;
+
+    const cached = this.cache.get(key);
+    if (cached) {
+      return cached;
+    }
+
+    const source = await loadImage();
+    const sourceFormat = this.formatFromContentType(source.contentType);
+    let variant;
+
+    if (format === 'svg') {
+      // Rasters can't be turned back into vectors; a vector needs no resizing
+      if (sourceFormat !== 'svg') {
+        const error = new Error('SVG is only available for logos stored as vectors');
+        error.code = 'SVG_UNAVAILABLE';
+        throw error;
+      }
+      variant = { buffer: source.buffer, contentType: this.getContentType('svg') };
+    } else if (transformKey) {
+      // Transforms produce a PNG at the final size, which is then only re-encoded
+      const transformed = await this.applyTransforms(source.buffer, { size, transforms });
+      variant = {
+        buffer: await this.encode(transformed, { size: format === 'ico' ? size : null, format, background: transforms.bg }),
+        contentType: this.getContentType(format)
+      };
+    } else if (!size && sourceFormat === format) {
+      // Already in the wanted format and no resize asked for: serve the stored bytes untouched
+      variant = { buffer: source.buffer, contentType: this.getContentType(format) };
+    } else {
+      variant = {
+        buffer: await this.encode(source.buffer, { size, format }),
+        contentType: this.getContentType(format)
+      };
+    }
+
+    this.cache.set(key, variant);
+
+    return variant;
+  }
+}
+
+module.exports = ImageProcessor;
@@ -3,13 +3,52 @@ const cheerio = require('cheerio');
 const sharp = require('sharp');
 const Company = require('../models/Company');
 const CloudStorageService = require('./cloudStorage');
+const ConcurrencyLimit = require('./concurrencyLimit');
+const ExtractionConfig = require('./extractionConfig');
 
 class LogoExtractor {
-  constructor() {
+  constructor(options = {}) {
+    this.config = options.config || ExtractionConfig.getSharedConfig();
     this.timeout = 10000; // 10 seconds
     this.maxFileSize = 5 * 1024 * 1024; // 5MB
     this.supportedFormats = ['png', 'jpg', 'jpeg', 'gif', 'svg', 'webp', 'ico'];
     this.cloudStorage = new CloudStorageService();
+    // Per-domain deadline: outstanding downloads are cancelled once it passes
+    this.timeBudget = parseInt(process.env.EXTRACTION_TIME_BUDGET_MS) || 15000;
+    this.concurrency = parseInt(process.env.EXTRACTION_CONCURRENCY) || 4;
+    // A candidate scoring this high ends the search early
+    this.goodEnoughScore = parseFloat(process.env.EXTRACTION_GOOD_ENOUGH_SCORE) || 70;
+    // After that, the homepage gets this long to still deliver the company's name and final host
+    this.pageGracePeriod = parseInt(process.env.EXTRACTION_PAGE_GRACE_MS) || 1500;
+    this.maxPageCandidates = 6;
+    // How much a candidate's origin is trusted to be the company's real logo
+    this.sourceTrust = {
+      configured: 20,
+      'json-ld': 16,
+      webpage: 12,
+      manifest: 10,
+      'inline-svg': 10,
+      'common-path': 8,
+      favicon: 6,
+      'third-party': 4
+    };
+    // The extraction method each candidate source belongs to, for queue priority
+    this.sourceMethods = {
+      'json-ld': 'webpage',
+      webpage: 'webpage',
+      manifest: 'webpage',
+      'inline-svg': 'webpage',
+      'common-path': 'common-paths',
+      favicon: 'favicon',
+      'third-party': 'third-party'
+    };
+    this.formatScores = { svg: 8, png: 6, webp: 5, jpeg: 2, jpg: 2, gif: 1, ico: 0 };
+    // schema.org types whose `logo` is the company's own
+    this.organizationTypes = [
+      'Organization', 'Corporation', 'LocalBusiness', 'OnlineBusiness', 'OnlineStore',
+      'NGO', 'EducationalOrganization', 'GovernmentOrganization', 'NewsMediaOrganization',
+      'SportsOrganization', 'MedicalOrganization', 'Brand'
+    ];
   }
 
   // Main method to extract logo for a company
@@ -20,38 +59,54 @@ class LogoExtractor {
       throw new Error('Invalid company domain provided');
     }
 
+    if (this.config.isBlocked(company.domain)) {
+      const error = new Error(`Logo extraction is blocked for ${company.domain}`);
+      error.code = 'DOMAIN_BLOCKED';
+      throw error;
+    }
+
     try {
       // Try multiple extraction methods
       const logoData = await this.tryMultipleExtractionMethods(company.domain);
       
       if (logoData) {
-        // Upload to cloud storage (ImgBB)
+        // Name the site declares for itself beats one guessed from the domain
+        if (!name && logoData.metadata?.companyName) {
+          company.name = logoData.metadata.companyName.name;
+          company.name_source = logoData.metadata.companyName.source;
+        }
+
+        const finalHost = logoData.metadata?.finalHost;
+        if (finalHost && finalHost !== company.domain && new Company({ domain: finalHost }).validateDomain()) {
+          company.resolved_domain = finalHost;
+        }
+
+
         const filename = `${company.domain}_logo.${logoData.format}`;
-        
-        try {
-          const cloudUpload = await this.cloudStorage.uploadToImgBB(logoData.buffer, filename);
-          
-          // Set cloud storage data
-          company.logo_url = cloudUpload.original_url;
-          company.imgbb_id = cloudUpload.imgbb_id;
-          company.imgbb_url = cloudUpload.imgbb_full_url || cloudUpload.original_url;
-          company.imgbb_delete_url = cloudUpload.delete_url;
-          company.logo_format = logoData.format;
-          company.logo_size = cloudUpload.size;
-          company.logo_width = cloudUpload.width;
-          company.logo_height = cloudUpload.height;
-          
-          console.log(`☁️  Logo uploaded to cloud: ${cloudUpload.imgbb_url}`);
-        } catch (uploadError) {
-          console.warn('Cloud upload failed, using local storage:', uploadError.message);
-          
-          // Fallback to local storage
-          company.logo_url = logoData.url;
-          company.logo_data = logoData.buffer;
-          company.logo_format = logoData.format;
-          company.logo_size = logoData.size;
-          company.logo_width = logoData.width;
-          company.logo_height = logoData.height;
+
+        if (this.cloudStorage.usesExternalStorage()) {
+          // Upload to the configured storage provider
+          try {
+            const stored = await this.cloudStorage.upload(logoData.buffer, filename);
+            
+            // Set storage data
+            company.logo_url = stored.url || logoData.url;
+            company.storage_provider = stored.provider;
+            company.storage_key = stored.key;
+            company.storage_delete_url = stored.delete_url;
+            company.logo_format = stored.uploaded_format;
+            company.logo_size = stored.size;
+            company.logo_hash = stored.hash;
+            company.logo_width = stored.width;
+            company.logo_height = stored.height;
+            
+            console.log(`☁️  Logo stored with ${stored.provider}: ${stored.key}`);
+          } catch (uploadError) {
+            console.warn('Storage upload failed, storing logo in the database:', uploadError.message);
+            await this.storeInDatabase(company, logoData, filename);
+          }
+        } else {
+          await this.storeInDatabase(company, logoData, filename);
         }
       }
 
@@ -63,43 +118,203 @@ class LogoExtractor {
   }
 
  
+  // Keep the (converted) bytes on the company so createCompany writes them to the blob table
+  async storeInDatabase(company, logoData, filename) {
+    const prepared = await this.cloudStorage.prepareForStorage(logoData.buffer, filename);
+    const metadata = await sharp(prepared.buffer).metadata().catch(() => ({}));
+
+    company.logo_url = logoData.url;
+    company.logo_data = prepared.buffer;
+    company.logo_content_type = prepared.mime;
+    company.storage_provider = 'database';
+    company.storage_key = 'original';
+    company.logo_format = prepared.format;
+    company.logo_size = prepared.buffer.length;
+    company.logo_hash = prepared.hash;
+    company.logo_width = metadata.width || logoData.width;
+    company.logo_height = metadata.height || logoData.height;
+
+    console.log(`🐘 Logo kept in database for ${company.domain} (${prepared.buffer.length} bytes)`);
+  }
+
+ 
+  // Every method contributes candidates concurrently; the best-scoring one wins
   async tryMultipleExtractionMethods(domain) {
+    const controller = new AbortController();
+    // The homepage fetch outlives a good-enough logo by a short grace period, its metadata (final host, name) is still wanted
+    const pageController = new AbortController();
+    const context = {
+      domain,
+      deadline: Date.now() + this.timeBudget,
+      signal: controller.signal,
+      pageSignal: pageController.signal,
+      abort: reason => controller.abort(reason),
+      limit: new ConcurrencyLimit(this.concurrency),
+      attempted: new Set(),
+      candidates: [],
+      // Facts about the company noticed along the way (e.g. its name from JSON-LD)
+      metadata: {}
+    };
+
+    const deadlineTimer = setTimeout(() => {
+      console.log(`⏱️  Time budget exhausted for ${domain}, ranking ${context.candidates.length} candidate(s)`);
+      context.abort(new Error('Extraction deadline reached'));
+      pageController.abort(new Error('Extraction deadline reached'));
+    }, this.timeBudget);
+
+    let graceTimer = null;
+    controller.signal.addEventListener('abort', () => {
+      graceTimer = setTimeout(() => pageController.abort(new Error('Good enough logo found')), this.pageGracePeriod);
+    }, { once: true });
     
-    const problematicDomains = [
-      'mastercard.com', 'visa.com', 'amex.com', 'americanexpress.com',
-      'jpmorgan.com', 'wellsfargo.com', 'bankofamerica.com',
-      'cloudflare.com', 'fastly.com'
-    ];
-    
-    const methods = [
-      () => this.extractFromThirdPartyServices(domain), 
-      () => this.extractFromFavicon(domain),
-      () => this.extractFromCommonPaths(domain)
-    ];
-    
-   
-    if (!problematicDomains.some(pd => domain.includes(pd))) {
-      methods.splice(2, 0, () => this.extractFromWebpage(domain));
+    const methods = this.getExtractionMethods(domain, context);
+
+    try {
+      const results = await Promise.allSettled(methods);
+      results
+        .filter(result => result.status === 'rejected' && !context.signal.aborted)
+        .forEach(result => console.log(`⚠️  Method failed for ${domain}: ${result.reason.message}`));
+    } finally {
+      clearTimeout(deadlineTimer);
+      // Cancel anything still queued or in flight
+      if (!context.signal.aborted) context.abort(new Error('Extraction finished'));
+      if (!pageController.signal.aborted) pageController.abort(new Error('Extraction finished'));
+      clearTimeout(graceTimer);
     }
 
-    for (const method of methods) {
-      try {
-        const result = await method();
-        if (result) {
-          console.log(`✅ Logo found for ${domain}: ${result.url}`);
-          return result;
-        }
-      } catch (error) {
-        console.log(`⚠️  Method failed for ${domain}: ${error.message}`);
-        continue;
-      }
+    const best = this.selectBestCandidate(context.candidates);
+    if (!best) {
+      throw new Error(`No logo found for domain: ${domain}`);
+    }
+
+    console.log(`✅ Logo found for ${domain}: ${best.url} (${best.source}, score ${best.score})`);
+    return { ...best, metadata: context.metadata };
+  }
+
+  // The configured methods, or just the forced URL
+  getExtractionMethods(domain, context) {
+    const rule = this.config.getDomainRule(domain);
+    if (rule.logoUrl) {
+      return [this.collectCandidates([rule.logoUrl], 'configured', context)];
+    }
+
+    context.methods = this.config.methods;
+
+    const extractors = {
+      'third-party': () => this.extractFromThirdPartyServices(domain, context),
+      favicon: () => this.extractFromFavicon(domain, context),
+      'common-paths': () => this.extractFromCommonPaths(domain, context),
+      webpage: () => this.extractFromWebpage(domain, context)
+    };
+
+    return this.config.methods
+      .filter(method => !(rule.skipHtml && method === 'webpage'))
+      .map(method => extractors[method]());
+  }
+
+  // Requests of methods listed earlier in the config go first; within a method, more trusted sources first
+  getQueuePriority(source, context) {
+    const methods = context.methods || [];
+    const position = methods.indexOf(this.sourceMethods[source] || source);
+    const methodRank = position === -1 ? 0 : methods.length - position;
+
+    return methodRank * 100 + (this.sourceTrust[source] || 0);
+  }
+
+  // Download the URLs not yet tried in this extraction through the shared concurrency limit;
+  // details[url] is merged into that URL's candidate (e.g. sizes declared in a manifest)
+  async collectCandidates(urls, source, context, details = {}) {
+    const pending = urls
+      .filter(url => !context.attempted.has(url))
+      .map(url => {
+        context.attempted.add(url);
+
+        return context.limit.run(async () => {
+          if (context.signal.aborted) return;
+
+          try {
+            const logoData = await this.downloadAndProcessImage(url, 2, context.signal, context.deadline);
+            if (logoData) this.addCandidate(context, { ...logoData, ...details[url], source });
+          } catch (error) {
+            return;
+          }
+        }, this.getQueuePriority(source, context));
+      });
+
+    await Promise.all(pending);
+    return context.candidates.filter(candidate => candidate.source === source);
+  }
+
+  addCandidate(context, candidate) {
+    if (context.signal.aborted) return;
+
+    context.candidates.push(candidate);
+
+    const score = this.scoreCandidate(candidate);
+    if (score >= this.goodEnoughScore) {
+      console.log(`🎯 Good enough logo for ${context.domain} (score ${score}), cancelling remaining requests`);
+      context.abort(new Error('Good enough logo found'));
+    }
+  }
+
+  // Unified ranking: resolution, squareness, format, source trust and URL relevance
+  scoreCandidate(candidate) {
+    let score = 0;
+    // A manifest's declared size stands in when the image's own dimensions can't be read; "any" means scalable
+    const unmeasured = !candidate.width || !candidate.height;
+    const declared = unmeasured && Number.isFinite(candidate.declared_size) && candidate.declared_size > 0
+      ? candidate.declared_size
+      : null;
+    const width = declared || candidate.width;
+    const height = declared || candidate.height;
+    const isVector = candidate.format === 'svg' || (unmeasured && candidate.declared_size === Infinity);
+
+    if (isVector) {
+      score += 40;
+    } else if (width && height) {
+      const shortSide = Math.min(width, height);
+      score += Math.min(40, Math.log2(shortSide) * 5);
+      if (shortSide < 32) score -= 15;
+    }
+
+    if (width && height) {
+      const ratio = Math.min(width, height) / Math.max(width, height);
+      score += ratio * 10;
     }
 
-    throw new Error(`No logo found for domain: ${domain}`);
+    score += this.formatScores[candidate.format] || 0;
+    score += this.sourceTrust[candidate.source] || 0;
+
+    // Maskable icons are padded for launcher masks, monochrome ones are silhouettes
+    if (candidate.purposes && !candidate.purposes.includes('any')) {
+      if (candidate.purposes.includes('maskable')) score -= 5;
+      if (candidate.purposes.includes('monochrome')) score -= 10;
+    }
+
+    // URL hints only mean something on the company's own site (logo.clearbit.com says "logo" for everyone)
+    if (candidate.source !== 'third-party') {
+      score += this.calculateLogoRelevanceScore(candidate.url);
+    }
+
+    return Math.round(score * 10) / 10;
+  }
+
+  selectBestCandidate(candidates) {
+    if (candidates.length === 0) return null;
+
+    const ranked = candidates
+      .map(candidate => ({ ...candidate, score: this.scoreCandidate(candidate) }))
+      .sort((a, b) => b.score - a.score);
+
+    ranked.slice(0, 3).forEach(candidate => {
+      console.log(`   ${candidate.score}\t${candidate.source}\t${candidate.width || '?'}x${candidate.height || '?'} ${candidate.format}\t${candidate.url}`);
+    });
+
+    return ranked[0];
   }
 
   // Extract favicon
-  async extractFromFavicon(domain) {
+  async extractFromFavicon(domain, context) {
     const faviconUrls = [
       `https://${domain}/favicon.ico`,
       `https://www.${domain}/favicon.ico`,
@@ -107,20 +322,11 @@ class LogoExtractor {
       `https://${domain}/apple-touch-icon-precomposed.png`
     ];
 
-    for (const url of faviconUrls) {
-      try {
-        const logoData = await this.downloadAndProcessImage(url);
-        if (logoData) return logoData;
-      } catch (error) {
-        continue;
-      }
-    }
-
-    return null;
+    return this.collectCandidates(faviconUrls, 'favicon', context);
   }
 
   // Extract logo from webpage by parsing HTML
-  async extractFromWebpage(domain) {
+  async extractFromWebpage(domain, context) {
     try {
       // Better headers to avoid bot detection
       const headers = {
@@ -137,28 +343,50 @@ class LogoExtractor {
         'Cache-Control': 'max-age=0'
       };
 
-      const response = await axios.get(`https://${domain}`, {
-        timeout: this.timeout,
+      const response = await context.limit.run(() => axios.get(`https://${domain}`, {
+        timeout: Math.min(this.timeout, Math.max(1, context.deadline - Date.now())),
+        signal: context.pageSignal,
         headers,
         maxRedirects: 5,
         validateStatus: function (status) {
           return status >= 200 && status < 400; // Accept redirects
         }
-      });
+      }), this.getQueuePriority('webpage', context));
 
       const $ = cheerio.load(response.data);
-      const logoUrls = this.findLogoUrlsInHtml($, domain);
-
-      for (const url of logoUrls) {
-        try {
-          const logoData = await this.downloadAndProcessImage(url);
-          if (logoData) return logoData;
-        } catch (error) {
-          continue;
-        }
+      const pageUrl = response.request?.res?.responseUrl || `https://${domain}/`;
+      const logoUrls = this.findLogoUrlsInHtml($, pageUrl).slice(0, this.maxPageCandidates);
+      // Where the homepage ended up after redirects (fb.com -> facebook.com)
+      context.metadata.finalHost = Company.normalizeDomain(new URL(pageUrl).hostname);
+
+      const organizations = this.findJsonLdOrganizations($);
+      const companyName = this.findCompanyName($, domain, organizations);
+      if (companyName) {
+        context.metadata.companyName = companyName;
       }
+      const jsonLdUrls = [];
+      organizations.forEach(organization => {
+        organization.logos.forEach(logo => {
+          try {
+            jsonLdUrls.push(new URL(logo, pageUrl).href);
+          } catch (error) {
+            // Not a usable URL
+          }
+        });
+      });
+
+      const [jsonLdCandidates, pageCandidates, manifestCandidates, inlineCandidates] = await Promise.all([
+        this.collectCandidates(jsonLdUrls, 'json-ld', context),
+        this.collectCandidates(logoUrls, 'webpage', context),
+        this.extractFromManifest($, pageUrl, context),
+        this.extractInlineSvgs($, pageUrl, context)
+      ]);
+
+      return [...jsonLdCandidates, ...pageCandidates, ...manifestCandidates, ...inlineCandidates];
     } catch (error) {
-      if (error.response?.status === 403) {
+      if (context.pageSignal.aborted) {
+        return [];
+      } else if (error.response?.status === 403) {
         console.log(` Access denied for ${domain} (403) - website blocks automated requests`);
       } else if (error.response?.status === 503) {
         console.log(` Service unavailable for ${domain} (503) - likely behind protection`);
@@ -167,10 +395,295 @@ class LogoExtractor {
       }
     }
 
+    return [];
+  }
+
+  // schema.org organizations declared in <script type="application/ld+json">, as { name, logos }
+  findJsonLdOrganizations($) {
+    const nodes = [];
+    const collect = value => {
+      if (Array.isArray(value)) {
+        value.forEach(collect);
+      } else if (value && typeof value === 'object') {
+        nodes.push(value);
+        // Covers @graph arrays and nested nodes such as WebPage.publisher
+        Object.values(value).forEach(collect);
+      }
+    };
+
+    $('script[type="application/ld+json" i]').each((i, element) => {
+      try {
+        collect(JSON.parse($(element).contents().text()));
+      } catch (error) {
+        // Malformed JSON-LD is common, skip the block
+      }
+    });
+
+    // logo is a URL string, an ImageObject ({ url } / { contentUrl }) or an array of either
+    const logoUrls = logo => {
+      if (Array.isArray(logo)) return logo.flatMap(logoUrls);
+      if (typeof logo === 'string') return [logo];
+      if (logo && typeof logo === 'object') {
+        const url = logo.url || logo.contentUrl;
+        return typeof url === 'string' ? [url] : [];
+      }
+      return [];
+    };
+
+    return nodes
+      .filter(node => {
+        const types = [].concat(node['@type'] || []).map(type => String(type).replace(/^.*[/:]/, ''));
+        return types.some(type => this.organizationTypes.includes(type));
+      })
+      .map(node => ({
+        name: typeof node.name === 'string' ? node.name.trim() : null,
+        logos: logoUrls(node.logo)
+      }));
+  }
+
+  // Logos drawn as inline <svg> in the header/nav, which no img/link/meta selector can see
+  async extractInlineSvgs($, pageUrl, context) {
+    const candidates = [];
+    const svgs = this.findInlineSvgLogos($).slice(0, this.maxPageCandidates);
+
+    for (const [index, svg] of svgs.entries()) {
+      const buffer = Buffer.from(svg);
+
+      try {
+        const metadata = await sharp(buffer).metadata();
+        if (metadata.width < 16 || metadata.height < 16) continue;
+
+        const candidate = {
+          url: `${pageUrl}#inline-svg-${index}`,
+          buffer,
+          format: 'svg',
+          size: buffer.length,
+          width: metadata.width,
+          height: metadata.height,
+          source: 'inline-svg'
+        };
+        this.addCandidate(context, candidate);
+        candidates.push(candidate);
+      } catch (error) {
+        // Doesn't render on its own, skip it
+      }
+    }
+
+    return candidates;
+  }
+
+  // Standalone SVG documents for inline <svg> elements that look like the site's logo
+  findInlineSvgLogos($) {
+    const logoSelectors = [
+      'svg[class*="logo" i]',
+      'svg[id*="logo" i]',
+      'svg[aria-label*="logo" i]',
+      '.logo svg',
+      '[class*="logo" i] svg',
+      '[id*="logo" i] svg',
+      '.navbar-brand svg',
+      'a[href="/"] svg'
+    ];
+
+    const seen = new Set();
+    const svgs = [];
+    const elements = logoSelectors.flatMap(selector => $(selector).toArray());
+    // The first graphic in the page header is usually the brand mark, later ones are menu/search icons
+    elements.push(...$('header, [role="banner"]').first().find('svg').first().toArray());
+
+    elements.forEach(element => {
+      // Only the outermost svg, nested ones are part of it
+      const root = $(element).parents('svg').last().get(0) || element;
+      if (seen.has(root)) return;
+      seen.add(root);
+
+      const svg = this.serializeInlineSvg($, root);
+      if (svg) svgs.push(svg);
+    });
+
+    return svgs;
+  }
+
+  // Copy <use>/url(#id) targets that live elsewhere in the page (sprites, shared gradients) into <defs>
+  serializeInlineSvg($, element) {
+    const svg = $(element).clone();
+    const byId = id => `[id="${id.replace(/"/g, '\\"')}"]`;
+    const defs = [];
+    const included = new Set();
+
+    const findReferences = node => {
+      const ids = [];
+      node.find('use').addBack('use').each((i, use) => {
+        const href = $(use).attr('href') || $(use).attr('xlink:href') || '';
+        if (href.startsWith('#')) ids.push(href.slice(1));
+        else if (href) ids.push(null);
+      });
+      const markup = $.xml(node);
+      for (const match of markup.matchAll(/url\(\s*['"]?#([^'")\s]+)['"]?\s*\)/g)) {
+        ids.push(match[1]);
+      }
+      return ids;
+    };
+
+    const pending = findReferences(svg);
+    while (pending.length > 0) {
+      const id = pending.shift();
+      // References to other files (sprite.svg#logo) can't be resolved here
+      if (id === null) return null;
+      if (included.has(id) || svg.find(byId(id)).length > 0) continue;
+
+      const target = $(byId(id)).first();
+      if (target.length === 0) return null;
+
+      const copy = target.clone();
+      defs.push(copy);
+      // Everything inside the copy comes along too (a <symbol>'s own gradients)
+      copy.find('[id]').addBack('[id]').each((i, node) => included.add($(node).attr('id')));
+      pending.push(...findReferences(copy));
+    }
+
+    if (defs.length > 0) {
+      // Append the cloned nodes rather than markup, re-parsing would lowercase viewBox, linearGradient, ...
+      const defsElement = $('<defs></defs>');
+      defs.forEach(copy => defsElement.append(copy));
+      svg.prepend(defsElement);
+    }
+
+    svg.attr('xmlns', 'http://www.w3.org/2000/svg');
+    if ($.xml(svg).includes('xlink:')) {
+      svg.attr('xmlns:xlink', 'http://www.w3.org/1999/xlink');
+    }
+
+    // Size comes from CSS on the page; fall back to the viewBox so it renders standalone
+    const viewBox = (svg.attr('viewBox') || svg.attr('viewbox') || '').trim().split(/[\s,]+/).map(Number);
+    if (viewBox.length === 4 && viewBox[2] > 0 && viewBox[3] > 0) {
+      if (!/^\d+(\.\d+)?(px)?$/.test(svg.attr('width') || '')) svg.attr('width', String(viewBox[2]));
+      if (!/^\d+(\.\d+)?(px)?$/.test(svg.attr('height') || '')) svg.attr('height', String(viewBox[3]));
+    }
+
+    return $.xml(svg);
+  }
+
+  // The name the site uses for itself, as { name, source }, or null to fall back to the domain
+  findCompanyName($, domain, organizations = []) {
+    const meta = selector => this.cleanCompanyName($(selector).first().attr('content'));
+
+    const candidates = [
+      { source: 'og:site_name', name: meta('meta[property="og:site_name" i]') },
+      { source: 'application-name', name: meta('meta[name="application-name" i]') },
+      { source: 'json-ld', name: this.cleanCompanyName(organizations.map(organization => organization.name).find(Boolean)) },
+      { source: 'title', name: this.companyNameFromTitle($('title').first().text(), domain) }
+    ];
+
+    return candidates.find(candidate => candidate.name) || null;
+  }
+
+  cleanCompanyName(name) {
+    if (typeof name !== 'string') return null;
+
+    const cleaned = name.replace(/\s+/g, ' ').trim();
+    return cleaned.length > 0 && cleaned.length <= 100 ? cleaned : null;
+  }
+
+  // "GitHub: Let's build from here · GitHub" -> "GitHub": the title segment that matches the domain
+  companyNameFromTitle(title, domain) {
+    const cleaned = this.cleanCompanyName(title);
+    if (!cleaned) return null;
+
+    const squash = text => text.toLowerCase().normalize('NFKD').replace(/[^a-z0-9]/g, '');
+    const label = squash(Company.parseDomain(domain)?.sld || domain.split('.')[0]);
+    const segments = cleaned.split(/\s+[|\-–—·•:»]\s+|:\s+/).map(segment => segment.trim()).filter(Boolean);
+
+    const matching = segments
+      .filter(segment => {
+        const squashed = squash(segment);
+        return squashed.length >= 3 && label && (squashed.includes(label) || label.includes(squashed));
+      })
+      .sort((a, b) => a.length - b.length);
+
+    if (matching.length > 0) {
+      return matching[0];
+    }
+
+    // An unrelated single short title is still more likely the brand than a tagline
+    const genericTitles = ['home', 'homepage', 'home page', 'welcome', 'index', 'official site', 'official website'];
+    if (segments.length === 1 && segments[0].split(' ').length <= 3 && !genericTitles.includes(segments[0].toLowerCase())) {
+      return segments[0];
+    }
+
     return null;
   }
 
-  findLogoUrlsInHtml($, domain) {
+  // Icons declared in <link rel="manifest">, often the only place sites publish 192/512px versions
+  async extractFromManifest($, pageUrl, context) {
+    const href = $('link[rel~="manifest" i]').attr('href');
+    if (!href) return [];
+
+    let manifestUrl;
+    try {
+      manifestUrl = new URL(href, pageUrl).href;
+      const response = await context.limit.run(() => axios.get(manifestUrl, {
+        timeout: Math.min(this.timeout, Math.max(0, context.deadline - Date.now())),
+        signal: context.signal,
+        maxContentLength: 1024 * 1024,
+        headers: {
+          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+          'Accept': 'application/manifest+json,application/json;q=0.9,*/*;q=0.8'
+        }
+      }), this.getQueuePriority('manifest', context));
+
+      const manifest = typeof response.data === 'string' ? JSON.parse(response.data) : response.data;
+      const icons = this.parseManifestIcons(manifest, manifestUrl).slice(0, this.maxPageCandidates);
+
+      const details = {};
+      icons.forEach(icon => {
+        details[icon.url] = { declared_size: icon.declaredSize, purposes: icon.purposes };
+      });
+
+      return await this.collectCandidates(icons.map(icon => icon.url), 'manifest', context, details);
+    } catch (error) {
+      if (!context.signal.aborted) {
+        console.log(`Failed to read web app manifest ${manifestUrl || href}:`, error.message);
+      }
+      return [];
+    }
+  }
+
+  // Manifest icons with URLs resolved against the manifest's own location, best first
+  parseManifestIcons(manifest, manifestUrl) {
+    if (!manifest || !Array.isArray(manifest.icons)) return [];
+
+    const icons = [];
+    manifest.icons.forEach(icon => {
+      if (!icon || typeof icon.src !== 'string') return;
+
+      let url;
+      try {
+        url = new URL(icon.src, manifestUrl).href;
+      } catch (error) {
+        return;
+      }
+
+      // sizes is a space-separated list like "192x192 512x512", or "any" for scalable icons
+      const sizes = String(icon.sizes || '').toLowerCase().split(/\s+/).filter(Boolean);
+      const declaredSize = sizes.includes('any')
+        ? Infinity
+        : Math.max(0, ...sizes.map(size => parseInt(size.split('x')[0]) || 0));
+      const purposes = String(icon.purpose || 'any').toLowerCase().split(/\s+/).filter(Boolean);
+
+      icons.push({ url, declaredSize, purposes, type: icon.type });
+    });
+
+    return icons.sort((a, b) => {
+      const anyA = a.purposes.includes('any') ? 1 : 0;
+      const anyB = b.purposes.includes('any') ? 1 : 0;
+      return anyB - anyA || b.declaredSize - a.declaredSize;
+    });
+  }
+
+  // Relative URLs are resolved against the page we ended up on (after redirects) or its <base href>
+  findLogoUrlsInHtml($, pageUrl) {
+    const baseUrl = this.resolveUrl($('base[href]').attr('href') || '', pageUrl) || pageUrl;
     const logoUrls = new Set();
 
     const logoSelectors = [
@@ -191,7 +704,7 @@ class LogoExtractor {
       $(selector).each((i, element) => {
         let url = $(element).attr('src') || $(element).attr('href') || $(element).attr('content');
         if (url) {
-          url = this.resolveUrl(url, domain);
+          url = this.resolveUrl(url, baseUrl);
           if (this.isValidImageUrl(url)) {
             logoUrls.add(url);
           }
@@ -228,52 +741,29 @@ class LogoExtractor {
   }
 
 
-  async extractFromCommonPaths(domain) {
+  async extractFromCommonPaths(domain, context) {
     const commonPaths = Company.generateLogoUrls(domain);
 
-    for (const url of commonPaths) {
-      try {
-        const logoData = await this.downloadAndProcessImage(url);
-        if (logoData) return logoData;
-      } catch (error) {
-        continue;
-      }
-    }
-
-    return null;
+    return this.collectCandidates(commonPaths, 'common-path', context);
   }
 
  
-  async extractFromThirdPartyServices(domain) {
-    const services = [
-      `https://logo.clearbit.com/${domain}`,
-      `https://unavatar.io/${domain}`,
-      `https://logo.uplead.com/${domain}`,
-      `https://img.logo.dev/${domain}?token=pk_X-1ZO13GSgeOoUrIuJ6GMQ`, 
-      `https://api.brandfetch.io/v2/assets/${domain}`, 
-      `https://logo.devapi.ai/${domain}`, 
-      `https://favicongrabber.com/api/grab/${domain}` 
-    ];
-
-    for (const url of services) {
-      try {
-        const logoData = await this.downloadAndProcessImage(url);
-        if (logoData) return logoData;
-      } catch (error) {
-        continue;
-      }
-    }
-
-    return null;
+  async extractFromThirdPartyServices(domain, context) {
+    return this.collectCandidates(this.config.getThirdPartyUrls(domain), 'third-party', context);
   }
 
 
-  async downloadAndProcessImage(url, retries = 2) {
+  async downloadAndProcessImage(url, retries = 2, signal = null, deadline = Infinity) {
     for (let attempt = 0; attempt <= retries; attempt++) {
       try {
         
         if (attempt > 0) {
-          await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+          await this.wait(1000 * attempt, signal);
+        }
+
+        const remaining = deadline - Date.now();
+        if (remaining <= 0) {
+          throw new Error('Extraction deadline reached');
         }
 
         
@@ -291,7 +781,8 @@ class LogoExtractor {
 
         const response = await axios.get(url, {
           responseType: 'arraybuffer',
-          timeout: this.timeout,
+          timeout: Math.min(this.timeout, remaining),
+          signal: signal || undefined,
           maxContentLength: this.maxFileSize,
           headers,
           maxRedirects: 3,
@@ -312,51 +803,60 @@ class LogoExtractor {
       }
 
 
+      const image = sharp(buffer);
+      let metadata;
       try {
-        const image = sharp(buffer);
-        const metadata = await image.metadata();
-        
-      
-        if (metadata.width < 16 || metadata.height < 16) {
-          throw new Error('Image dimensions too small');
-        }
-
-    
-        let processedBuffer = buffer;
-        let format = metadata.format;
-
-        if (format !== 'svg') {
-          if (metadata.width > 512 || metadata.height > 512) {
-            processedBuffer = await image
-              .resize(512, 512, { fit: 'inside', withoutEnlargement: true })
-              .png()
-              .toBuffer();
-            format = 'png';
-          } else if (format !== 'png') {
-            processedBuffer = await image.png().toBuffer();
-            format = 'png';
-          }
+        metadata = await image.metadata();
+      } catch (sharpError) {
+        // sharp can't read ICO; anything else it can't read isn't an image (e.g. an HTML error page)
+        const detectedFormat = this.cloudStorage.detectFormatFromBuffer(buffer);
+        if (!detectedFormat) {
+          throw new Error(`Unrecognized image data: ${sharpError.message}`);
         }
 
-        return {
-          url,
-          buffer: processedBuffer,
-          format,
-          size: processedBuffer.length,
-          width: metadata.width,
-          height: metadata.height
-        };
-
-      } catch (sharpError) {
         return {
           url,
           buffer,
-          format: this.detectFormatFromUrl(url) || 'unknown',
+          format: detectedFormat,
           size: buffer.length
         };
       }
 
+      if (metadata.width < 16 || metadata.height < 16) {
+        throw new Error('Image dimensions too small');
+      }
+
+      let processedBuffer = buffer;
+      let format = metadata.format;
+
+      if (format !== 'svg') {
+        if (metadata.width > 512 || metadata.height > 512) {
+          processedBuffer = await image
+            .resize(512, 512, { fit: 'inside', withoutEnlargement: true })
+            .png()
+            .toBuffer();
+          format = 'png';
+        } else if (format !== 'png') {
+          processedBuffer = await image.png().toBuffer();
+          format = 'png';
+        }
+      }
+
+      return {
+        url,
+        buffer: processedBuffer,
+        format,
+        size: processedBuffer.length,
+        width: metadata.width,
+        height: metadata.height
+      };
+
     } catch (error) {
+      // Cancelled, out of time, or the server answered definitively (404, 403, ...): retrying won't help
+      const status = error.response?.status;
+      if (signal?.aborted || Date.now() >= deadline || (status >= 400 && status < 500)) {
+        throw new Error(`Failed to download ${url}: ${error.message}`);
+      }
       if (attempt === retries) {
         throw new Error(`Failed to download ${url} after ${retries + 1} attempts: ${error.message}`);
       }
@@ -368,15 +868,31 @@ class LogoExtractor {
   }
 
 
-  resolveUrl(url, domain) {
-    if (url.startsWith('http')) {
-      return url;
-    } else if (url.startsWith('//')) {
-      return `https:${url}`;
-    } else if (url.startsWith('/')) {
-      return `https://${domain}${url}`;
-    } else {
-      return `https://${domain}/${url}`;
+  // setTimeout that rejects early when the extraction is cancelled
+  wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        return reject(signal.reason);
+      }
+
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      };
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  // Absolute URL for url relative to baseUrl, null when it can't be parsed
+  resolveUrl(url, baseUrl) {
+    try {
+      return new URL(url, baseUrl).href;
+    } catch (error) {
+      return null;
     }
   }
 
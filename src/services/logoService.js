@@ -0,0 +1,258 @@
+const LogoExtractor = require('./logoExtractor');
+const CloudStorageService = require('./cloudStorage');
+const ImageCache = require('./imageCache');
+const SingleFlight = require('./singleFlight');
+const ColorExtractor = require('./colorExtractor');
+
+// Extraction lifecycle: first-time extraction, refreshes of stale logos and the failure back-off
+class LogoService {
+  constructor(options = {}) {
+    this.getDb = options.getDb;
+    this.logoExtractor = options.logoExtractor || new LogoExtractor();
+    this.cloudStorage = options.cloudStorage || new CloudStorageService();
+    this.imageCache = options.imageCache || ImageCache.getSharedCache();
+    this.colorExtractor = options.colorExtractor || new ColorExtractor();
+    this.extractions = new SingleFlight();
+
+    // Back-off after failed extractions: base delay doubling per consecutive failure, capped
+    this.retryBaseSeconds = parseInt(process.env.EXTRACTION_RETRY_BASE_SECONDS) || 3600;
+    this.retryMaxSeconds = parseInt(process.env.EXTRACTION_RETRY_MAX_SECONDS) || 7 * 24 * 3600;
+
+    // Logos older than this are re-extracted in the background (0 disables)
+    const maxAgeDays = parseFloat(process.env.LOGO_MAX_AGE_DAYS);
+    this.maxAgeMs = (Number.isFinite(maxAgeDays) ? maxAgeDays : 30) * 24 * 3600 * 1000;
+    this.refreshIntervalMinutes = parseFloat(process.env.LOGO_REFRESH_INTERVAL_MINUTES) || 0;
+    this.refreshBatchSize = parseInt(process.env.LOGO_REFRESH_BATCH_SIZE) || 10;
+    this.refreshTimer = null;
+  }
+
+  getRetryDelaySeconds(failureCount) {
+    return Math.min(this.retryMaxSeconds, this.retryBaseSeconds * 2 ** (failureCount - 1));
+  }
+
+  // Cache keys start with the company id so one company's entries can be dropped together, and include
+  // the content hash so a logo replaced by another instance never hits this process's old bytes
+  getImageCacheKey(company) {
+    return `${company.id}:${company.getContentHash()}`;
+  }
+
+  // Extract and save a domain's logo; concurrent requests for the same domain share one extraction
+  extractAndSave(normalizedDomain) {
+    return this.extractions.run(normalizedDomain, async () => {
+      const db = await this.getDb();
+      const failure = await this.checkBackoff(db, normalizedDomain);
+
+      console.log(`Auto-extracting logo for blog: ${normalizedDomain}`);
+      const company = await this.extractWithBackoff(db, normalizedDomain, failure);
+
+      // The site redirected elsewhere: store under the final host and keep the requested one as an alias
+      if (company.resolved_domain) {
+        console.log(`↪️  ${normalizedDomain} redirects to ${company.resolved_domain}`);
+
+        // Redirecting to a blocked domain mustn't become a way around the block
+        if (this.logoExtractor.config?.isBlocked(company.resolved_domain)) {
+          await this.discardUpload(company);
+          const error = new Error(`${normalizedDomain} redirects to ${company.resolved_domain}, which is blocked`);
+          error.code = 'DOMAIN_BLOCKED';
+          throw error;
+        }
+
+        // A known target keeps its own logo; the alias's candidate doesn't replace it
+        const existing = await db.findByDomain(company.resolved_domain);
+        if (existing) {
+          await db.addDomainAlias(normalizedDomain, existing.id);
+          await this.discardUpload(company);
+          return existing;
+        }
+
+        company.domain = company.resolved_domain;
+      }
+
+      const companyData = await db.createCompany(company);
+      await db.logAttempt(companyData.id, company.logo_url, true);
+
+      if (company.domain !== normalizedDomain) {
+        await db.addDomainAlias(normalizedDomain, companyData.id);
+      }
+
+      return companyData;
+    });
+  }
+
+  // Re-extract an existing company's logo, replacing the stored image and removing the old one
+  refresh(companyData, { force = false } = {}) {
+    return this.extractions.run(companyData.domain, async () => {
+      const db = await this.getDb();
+      const failure = force
+        ? await db.getExtractionFailure(companyData.domain)
+        : await this.checkBackoff(db, companyData.domain);
+
+      console.log(`🔄 Refreshing logo for ${companyData.domain}`);
+
+      let company;
+      try {
+        company = await this.extractWithBackoff(db, companyData.domain, failure);
+      } catch (error) {
+        await db.logAttempt(companyData.id, companyData.domain, false, error.message)
+          .catch(logError => console.error('Failed to log refresh attempt:', logError.message));
+        throw error;
+      }
+
+      const updated = await db.createCompany(company);
+      await db.logAttempt(updated.id, company.logo_url, true);
+      await this.removeReplacedImage(db, companyData, updated);
+
+      console.log(`✅ Logo refreshed for ${companyData.domain}`);
+      return updated;
+    });
+  }
+
+  // Throw EXTRACTION_BACKOFF while a recent failure's retry time hasn't passed
+  async checkBackoff(db, domain) {
+    const failure = await db.getExtractionFailure(domain);
+
+    if (failure && new Date(failure.next_retry_at) > new Date()) {
+      const error = new Error(`Extraction for ${domain} failed recently, next retry after ${new Date(failure.next_retry_at).toISOString()}`);
+      error.code = 'EXTRACTION_BACKOFF';
+      throw error;
+    }
+
+    return failure;
+  }
+
+  // Run the extractor, recording failures for back-off and clearing them on success
+  async extractWithBackoff(db, domain, failure) {
+    let company;
+    try {
+      company = await this.logoExtractor.extractLogo(domain);
+    } catch (extractError) {
+      // Blocked by configuration, not a failure worth retrying later
+      if (extractError.code === 'DOMAIN_BLOCKED') {
+        throw extractError;
+      }
+
+      const failureCount = (failure?.failure_count || 0) + 1;
+      const nextRetryAt = new Date(Date.now() + this.getRetryDelaySeconds(failureCount) * 1000);
+      await db.recordExtractionFailure(domain, failureCount, extractError.message, nextRetryAt)
+        .catch(error => console.error('Failed to record extraction failure:', error.message));
+      throw extractError;
+    }
+
+    if (failure) {
+      await db.clearExtractionFailure(domain);
+    }
+
+    return company;
+  }
+
+  // An extracted logo that no row will point at; database-stored ones were never written
+  async discardUpload(company) {
+    if (!company.storage_key || company.storage_provider === 'database') {
+      return;
+    }
+
+    await this.cloudStorage.delete(company.storage_key, company.storage_provider, company.storage_delete_url);
+  }
+
+  // Delete the previous image once the row points at a new one
+  async removeReplacedImage(db, previous, updated) {
+    this.imageCache.removeByPrefix(`${previous.id}:`);
+
+    const replaced = previous.storage_key
+      && (previous.storage_key !== updated.storage_key || previous.storage_provider !== updated.storage_provider);
+    if (!replaced) {
+      return;
+    }
+
+    if (previous.storage_provider === 'database') {
+      await db.deleteLogoBlob(previous.id, previous.storage_key);
+    } else {
+      await this.cloudStorage.delete(previous.storage_key, previous.storage_provider, previous.storage_delete_url);
+    }
+  }
+
+  // Brand colors, recomputed whenever the stored logo no longer matches the one they came from
+  async getColors(company, loadImage) {
+    const contentHash = company.getContentHash();
+    if (company.logo_colors && company.colors_hash === contentHash) {
+      return company.logo_colors;
+    }
+
+    const image = await loadImage();
+    const colors = await this.colorExtractor.extract(image.buffer);
+
+    const db = await this.getDb();
+    await db.saveLogoColors(company.id, colors, contentHash);
+
+    return colors;
+  }
+
+  isStale(companyData) {
+    if (!this.maxAgeMs || !companyData.extracted_at) {
+      return false;
+    }
+    return Date.now() - new Date(companyData.extracted_at).getTime() > this.maxAgeMs;
+  }
+
+  // Fire-and-forget refresh used while the current logo keeps being served
+  refreshInBackground(companyData) {
+    if (this.extractions.isRunning(companyData.domain)) {
+      return;
+    }
+
+    this.refresh(companyData).catch(error => {
+      if (error.code === 'EXTRACTION_BACKOFF') {
+        console.log(`⏭️  ${error.message}`);
+      } else {
+        console.error(`Background refresh failed for ${companyData.domain}:`, error.message);
+      }
+    });
+  }
+
+  // Refresh one batch of the stalest logos
+  async refreshStaleLogos() {
+    if (!this.maxAgeMs) {
+      return 0;
+    }
+
+    const db = await this.getDb();
+    const cutoff = new Date(Date.now() - this.maxAgeMs);
+    const blockedDomains = this.logoExtractor.config?.getBlockedDomains() || [];
+    const staleCompanies = await db.findStaleCompanies(cutoff, this.refreshBatchSize, blockedDomains);
+
+    let refreshed = 0;
+    for (const companyData of staleCompanies) {
+      try {
+        await this.refresh(companyData);
+        refreshed++;
+      } catch (error) {
+        console.log(`⚠️  Scheduled refresh skipped for ${companyData.domain}: ${error.message}`);
+      }
+    }
+
+    return refreshed;
+  }
+
+  // Periodic sweep for long-running servers (serverless deployments rely on refresh-on-access)
+  startRefreshScheduler() {
+    if (!this.refreshIntervalMinutes || !this.maxAgeMs || this.refreshTimer) {
+      return;
+    }
+
+    this.refreshTimer = setInterval(() => {
+      this.refreshStaleLogos().catch(error => console.error('Scheduled logo refresh failed:', error.message));
+    }, this.refreshIntervalMinutes * 60 * 1000);
+    this.refreshTimer.unref();
+
+    console.log(`🔁 Refreshing logos older than ${this.maxAgeMs / (24 * 3600 * 1000)} days every ${this.refreshIntervalMinutes} minutes`);
+  }
+
+  stopRefreshScheduler() {
+    if (this.refreshTimer) {
+      clearInterval(this.refreshTimer);
+      this.refreshTimer = null;
+    }
+  }
+}
+
+module.exports = LogoService;
@@ -0,0 +1,63 @@
+const crypto = require('crypto');
+
+// Initials-on-color placeholder logos, so a missing logo never sends readers to a third party
+class MonogramGenerator {
+  constructor() {
+    this.saturation = 55;
+    this.lightness = 42;
+  }
+
+  // "Acme Corp" -> "AC", "GitHub" -> "G", "my-company" -> "MC"
+  getInitials(name) {
+    const words = String(name || '')
+      .split(/[\s\-_.]+/)
+      .map(word => word.match(/[\p{L}\p{N}]/u)?.[0])
+      .filter(Boolean);
+
+    return words.slice(0, 2).join('').toUpperCase() || '?';
+  }
+
+  // The same domain always gets the same color; hue comes from a hash, saturation/lightness are fixed for contrast
+  getColor(domain) {
+    const hash = crypto.createHash('md5').update(String(domain || '')).digest();
+    const hue = hash.readUInt16BE(0) % 360;
+
+    return this.hslToHex(hue, this.saturation, this.lightness);
+  }
+
+  // A 100x100 SVG; rasterizing and resizing is left to the ImageProcessor
+  renderSvg({ name, domain }) {
+    const initials = this.escapeXml(this.getInitials(name));
+    const fontSize = initials.length > 1 ? 42 : 50;
+
+    return Buffer.from(
+      '<svg xmlns="http://www.w3.org/2000/svg" width="100" height="100" viewBox="0 0 100 100">' +
+      `<rect width="100" height="100" fill="${this.getColor(domain)}"/>` +
+      `<text x="50" y="50" dy="0.35em" text-anchor="middle" font-family="Helvetica, Arial, sans-serif" font-size="${fontSize}" font-weight="600" fill="#ffffff">${initials}</text>` +
+      '</svg>'
+    );
+  }
+
+  renderTransparent() {
+    return Buffer.from('<svg xmlns="http://www.w3.org/2000/svg" width="100" height="100" viewBox="0 0 100 100"/>');
+  }
+
+  hslToHex(hue, saturation, lightness) {
+    const s = saturation / 100;
+    const l = lightness / 100;
+    const chroma = (1 - Math.abs(2 * l - 1)) * s;
+    const channel = n => {
+      const k = (n + hue / 30) % 12;
+      const value = l - chroma / 2 * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+      return Math.round(value * 255).toString(16).padStart(2, '0');
+    };
+
+    return `#${channel(0)}${channel(8)}${channel(4)}`;
+  }
+
+  escapeXml(text) {
+    return text.replace(/[<>&"']/g, char => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' })[char]);
+  }
+}
+
+module.exports = MonogramGenerator;
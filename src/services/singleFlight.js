@@ -0,0 +1,31 @@
+// Deduplicates concurrent calls: callers with the same key share one in-flight promise
+class SingleFlight {
+  constructor() {
+    this.inFlight = new Map();
+  }
+
+  run(key, fn) {
+    if (this.inFlight.has(key)) {
+      return this.inFlight.get(key);
+    }
+
+    const promise = Promise.resolve()
+      .then(fn)
+      .finally(() => {
+        this.inFlight.delete(key);
+      });
+
+    this.inFlight.set(key, promise);
+    return promise;
+  }
+
+  isRunning(key) {
+    return this.inFlight.has(key);
+  }
+
+  get size() {
+    return this.inFlight.size;
+  }
+}
+
+module.exports = SingleFlight;
@@ -0,0 +1,124 @@
+const axios = require('axios');
+const FormData = require('form-data');
+
+class ImgBBStorage {
+  constructor(options = {}) {
+    this.name = 'imgbb';
+    // ImgBB rejects SVG uploads, vectors are rasterized before they get here
+    this.supportsVector = false;
+    this.apiKey = options.apiKey || process.env.IMGBB_API_KEY;
+  }
+
+  isConfigured() {
+    return !!this.apiKey;
+  }
+
+  // Upload an image, the stored key is the full i.ibb.co URL
+  async upload(imageBuffer, filename) {
+    if (!this.apiKey) {
+      throw new Error('ImgBB API key not configured');
+    }
+
+    try {
+      const formData = new FormData();
+      formData.append('image', imageBuffer.toString('base64'));
+      formData.append('name', filename);
+
+      console.log(`☁️  Uploading to ImgBB: ${filename} (${imageBuffer.length} bytes)`);
+
+      const response = await axios.post(
+        `https://api.imgbb.com/1/upload?key=${this.apiKey}`,
+        formData,
+        {
+          headers: {
+            ...formData.getHeaders(),
+          },
+          timeout: 30000,
+        }
+      );
+
+      if (!response.data.success) {
+        throw new Error('ImgBB upload failed: ' + JSON.stringify(response.data));
+      }
+
+      const imgbbData = response.data.data;
+      console.log(`✅ ImgBB upload successful: ${imgbbData.url}`);
+
+      return {
+        key: imgbbData.url,
+        url: imgbbData.url,
+        delete_url: imgbbData.delete_url,
+        size: imgbbData.size,
+        width: imgbbData.width,
+        height: imgbbData.height,
+        mime: imgbbData.image.mime
+      };
+    } catch (error) {
+      console.error('ImgBB upload error:', error.message);
+
+      // Log more details for debugging
+      if (error.response) {
+        console.error('ImgBB API Response:', {
+          status: error.response.status,
+          statusText: error.response.statusText,
+          data: error.response.data
+        });
+      }
+
+      throw new Error(`Failed to upload to ImgBB: ${error.message}`);
+    }
+  }
+
+  // Fetch an image by its full URL (or a bare ImgBB path for rows stored before URLs were kept)
+  async getImage(key) {
+    try {
+      const imgbbUrl = key.startsWith('http') ? key : `https://i.ibb.co/${key}`;
+
+      console.log(`🔗 Fetching image from ImgBB: ${imgbbUrl}`);
+
+      const response = await axios.get(imgbbUrl, {
+        responseType: 'arraybuffer',
+        timeout: 10000,
+      });
+
+      return {
+        buffer: Buffer.from(response.data),
+        contentType: response.headers['content-type'] || 'image/png',
+        size: response.data.length,
+      };
+    } catch (error) {
+      console.error('ImgBB fetch error:', error.message);
+      throw new Error(`Failed to fetch image from ImgBB: ${error.message}`);
+    }
+  }
+
+  // ImgBB deletes through the per-image delete URL returned on upload
+  async delete(key, deleteUrl = null) {
+    if (!deleteUrl) {
+      return false;
+    }
+
+    try {
+      await axios.get(deleteUrl);
+      return true;
+    } catch (error) {
+      console.error('ImgBB delete error:', error.message);
+      return false;
+    }
+  }
+
+  getInfo() {
+    return {
+      provider: 'ImgBB',
+      features: {
+        upload: this.isConfigured(),
+        delete: true,
+        svg: this.supportsVector,
+        maxSize: '32MB',
+        freeLimit: 'Unlimited (with API key)',
+      },
+    };
+  }
+}
+
+module.exports = ImgBBStorage;
@@ -0,0 +1,99 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+class LocalDiskStorage {
+  constructor(options = {}) {
+    this.name = 'local';
+    this.supportsVector = true;
+    this.rootDir = path.resolve(options.rootDir || process.env.LOCAL_STORAGE_PATH || 'storage/logos');
+    this.contentTypes = {
+      '.png': 'image/png',
+      '.jpg': 'image/jpeg',
+      '.jpeg': 'image/jpeg',
+      '.gif': 'image/gif',
+      '.webp': 'image/webp',
+      '.avif': 'image/avif',
+      '.svg': 'image/svg+xml',
+      '.ico': 'image/x-icon'
+    };
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  // Keys are file names relative to rootDir, never allowed to escape it
+  resolveKey(key) {
+    const fullPath = path.resolve(this.rootDir, key);
+    if (!fullPath.startsWith(this.rootDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return fullPath;
+  }
+
+  // Write the image under a content-addressed name so re-extractions never overwrite each other
+  async upload(imageBuffer, filename) {
+    try {
+      const extension = path.extname(filename).toLowerCase();
+      const baseName = path.basename(filename, extension).replace(/[^a-z0-9._-]/gi, '_');
+      const hash = crypto.createHash('sha256').update(imageBuffer).digest('hex').slice(0, 16);
+      const key = `${baseName}-${hash}${extension}`;
+
+      await fs.mkdir(this.rootDir, { recursive: true });
+      await fs.writeFile(this.resolveKey(key), imageBuffer);
+
+      console.log(`💾 Stored logo on local disk: ${key}`);
+
+      return {
+        key,
+        url: null,
+        delete_url: null
+      };
+    } catch (error) {
+      console.error('Local storage write error:', error.message);
+      throw new Error(`Failed to store image on local disk: ${error.message}`);
+    }
+  }
+
+  async getImage(key) {
+    try {
+      const buffer = await fs.readFile(this.resolveKey(key));
+
+      return {
+        buffer,
+        contentType: this.contentTypes[path.extname(key).toLowerCase()] || 'application/octet-stream',
+        size: buffer.length,
+      };
+    } catch (error) {
+      console.error('Local storage read error:', error.message);
+      throw new Error(`Failed to read image from local disk: ${error.message}`);
+    }
+  }
+
+  async delete(key) {
+    try {
+      await fs.unlink(this.resolveKey(key));
+      return true;
+    } catch (error) {
+      console.error('Local storage delete error:', error.message);
+      return false;
+    }
+  }
+
+  getInfo() {
+    return {
+      provider: 'Local disk',
+      features: {
+        upload: true,
+        delete: true,
+        svg: this.supportsVector,
+        maxSize: 'Disk space',
+        freeLimit: 'Unlimited',
+      },
+      path: this.rootDir,
+    };
+  }
+}
+
+module.exports = LocalDiskStorage;
@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+const path = require('path');
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+class S3Storage {
+  constructor(options = {}) {
+    this.name = 's3';
+    this.supportsVector = true;
+    this.bucket = options.bucket || process.env.S3_BUCKET;
+    this.prefix = options.prefix ?? process.env.S3_PREFIX ?? 'logos/';
+    this.endpoint = options.endpoint || process.env.S3_ENDPOINT;
+    this.region = options.region || process.env.S3_REGION || 'us-east-1';
+    // Public base URL for buckets (or CDNs) that allow anonymous reads
+    this.publicUrl = (options.publicUrl || process.env.S3_PUBLIC_URL || '').replace(/\/+$/, '');
+    this.presignExpiresIn = parseInt(options.presignExpiresIn || process.env.S3_PRESIGN_EXPIRES) || 3600;
+    this.presign = options.presign ?? process.env.S3_PRESIGN === 'true';
+
+    const accessKeyId = options.accessKeyId || process.env.S3_ACCESS_KEY_ID;
+    const secretAccessKey = options.secretAccessKey || process.env.S3_SECRET_ACCESS_KEY;
+
+    this.client = new S3Client({
+      region: this.region,
+      endpoint: this.endpoint || undefined,
+      // MinIO and most self-hosted S3 servers only support path-style addressing
+      forcePathStyle: options.forcePathStyle ?? (process.env.S3_FORCE_PATH_STYLE
+        ? process.env.S3_FORCE_PATH_STYLE === 'true'
+        : !!this.endpoint),
+      credentials: accessKeyId && secretAccessKey
+        ? { accessKeyId, secretAccessKey }
+        : undefined,
+    });
+  }
+
+  isConfigured() {
+    return !!this.bucket;
+  }
+
+  // Upload under a content-addressed key so re-extractions never overwrite each other
+  async upload(imageBuffer, filename, { contentType } = {}) {
+    if (!this.bucket) {
+      throw new Error('S3 bucket not configured');
+    }
+
+    try {
+      const extension = path.extname(filename).toLowerCase();
+      const baseName = path.basename(filename, extension).replace(/[^a-z0-9._-]/gi, '_');
+      const hash = crypto.createHash('sha256').update(imageBuffer).digest('hex').slice(0, 16);
+      const key = `${this.prefix}${baseName}-${hash}${extension}`;
+
+      console.log(`☁️  Uploading to S3: s3://${this.bucket}/${key} (${imageBuffer.length} bytes)`);
+
+      await this.client.send(new PutObjectCommand({
+        Bucket: this.bucket,
+        Key: key,
+        Body: imageBuffer,
+        ContentType: contentType,
+        CacheControl: 'public, max-age=31536000, immutable',
+      }));
+
+      console.log(`✅ S3 upload successful: ${key}`);
+
+      return {
+        key,
+        url: this.publicUrl ? `${this.publicUrl}/${key}` : null,
+        delete_url: null
+      };
+    } catch (error) {
+      console.error('S3 upload error:', error.message);
+      throw new Error(`Failed to upload to S3: ${error.message}`);
+    }
+  }
+
+  async getImage(key) {
+    try {
+      const response = await this.client.send(new GetObjectCommand({
+        Bucket: this.bucket,
+        Key: key,
+      }));
+
+      const buffer = Buffer.from(await response.Body.transformToByteArray());
+
+      return {
+        buffer,
+        contentType: response.ContentType || 'application/octet-stream',
+        size: buffer.length,
+      };
+    } catch (error) {
+      console.error('S3 fetch error:', error.message);
+      throw new Error(`Failed to fetch image from S3: ${error.message}`);
+    }
+  }
+
+  async delete(key) {
+    try {
+      await this.client.send(new DeleteObjectCommand({
+        Bucket: this.bucket,
+        Key: key,
+      }));
+      return true;
+    } catch (error) {
+      console.error('S3 delete error:', error.message);
+      return false;
+    }
+  }
+
+  // URL clients can load the object from directly: public URL first, then a presigned one
+  async getUrl(key) {
+    if (this.publicUrl) {
+      return { url: `${this.publicUrl}/${key}`, expiresIn: null };
+    }
+
+    if (!this.presign) {
+      return null;
+    }
+
+    const url = await getSignedUrl(
+      this.client,
+      new GetObjectCommand({ Bucket: this.bucket, Key: key }),
+      { expiresIn: this.presignExpiresIn }
+    );
+
+    return { url, expiresIn: this.presignExpiresIn };
+  }
+
+  getInfo() {
+    return {
+      provider: 'S3-compatible',
+      features: {
+        upload: this.isConfigured(),
+        delete: true,
+        svg: this.supportsVector,
+        publicUrls: !!this.publicUrl,
+        presignedUrls: this.presign,
+        maxSize: '5GB',
+        freeLimit: 'Depends on provider',
+      },
+      bucket: this.bucket,
+      endpoint: this.endpoint || 'AWS',
+    };
+  }
+}
+
+module.exports = S3Storage;
@@ -0,0 +1,98 @@
+const cheerio = require('cheerio');
+
+// Strips everything from an SVG that could run code or load other resources when served directly
+class SvgSanitizer {
+  constructor() {
+    // Lower-case local names, so <foreignObject> and prefixed forms like <h:script> match too
+    this.forbiddenElements = [
+      'script', 'foreignobject', 'iframe', 'embed', 'object', 'audio', 'video', 'canvas', 'handler', 'listener'
+    ];
+    // Inline raster data is the only non-fragment reference kept
+    this.safeDataUrl = /^data:image\/(png|jpe?g|gif|webp);base64,/i;
+  }
+
+  // Quick check on raw bytes, before any parsing
+  isSvg(buffer) {
+    if (!buffer || buffer.length === 0) return false;
+
+    const head = buffer.slice(0, 1024).toString('utf8').replace(/^\uFEFF/, '').trimStart();
+    return /^(<\?xml|<svg|<!DOCTYPE svg)/i.test(head) && /<svg[\s>]/i.test(buffer.toString('utf8'));
+  }
+
+  // Returns the sanitized document as a Buffer, throws when there's no <svg> root
+  sanitize(input) {
+    const markup = Buffer.isBuffer(input) ? input.toString('utf8') : String(input);
+
+    // DOCTYPEs can declare entities (billion laughs, external entities)
+    const withoutDoctype = markup.replace(/<!DOCTYPE[^[>]*(\[[\s\S]*?\])?\s*>/gi, '');
+    const $ = cheerio.load(withoutDoctype, { xmlMode: true });
+
+    const root = $.root().children('svg').first();
+    if (root.length === 0) {
+      throw new Error('Not an SVG document');
+    }
+
+    // Prefixed elements run as their namespace says (<s:script xmlns:s="...svg">), so match on local names
+    $('*').filter((i, element) => this.forbiddenElements.includes(this.localName(element.name))).remove();
+
+    // <set>/<animate> can rewrite href or event attributes after load
+    $('*').filter((i, element) => ['set', 'animate'].includes(this.localName(element.name))).each((i, element) => {
+      const attributeName = this.localName(this.getAttribute(element, 'attributeName') || '');
+      if (attributeName.startsWith('on') || attributeName.endsWith('href')) {
+        $(element).remove();
+      }
+    });
+
+    $('*').each((i, element) => {
+      Object.entries(element.attribs || {}).forEach(([name, value]) => {
+        const lowerName = this.localName(name);
+
+        if (lowerName.startsWith('on')) {
+          $(element).removeAttr(name);
+        } else if (lowerName === 'href' || lowerName === 'src') {
+          if (!value.trim().startsWith('#') && !this.safeDataUrl.test(value.trim())) {
+            $(element).removeAttr(name);
+          }
+        } else if (this.hasExternalReference(value)) {
+          $(element).removeAttr(name);
+        }
+      });
+    });
+
+    $('*').filter((i, element) => this.localName(element.name) === 'style').each((i, element) => {
+      const css = $(element).text()
+        .replace(/@import[^;]*;?/gi, '')
+        .replace(/url\(\s*(['"]?)(?!#|data:image\/(png|jpe?g|gif|webp);)[^)]*\)/gi, 'none');
+      $(element).text(css);
+    });
+
+    // Processing instructions and comments carry nothing a logo needs
+    $.root().contents().filter((i, node) => node.type !== 'tag').remove();
+
+    return Buffer.from($.xml(root));
+  }
+
+  // "s:script" -> "script"
+  localName(name) {
+    return String(name).split(':').pop().toLowerCase();
+  }
+
+  // Attribute by local name, whatever prefix it was written with
+  getAttribute(element, name) {
+    const match = Object.keys(element.attribs || {}).find(attribute => this.localName(attribute) === name.toLowerCase());
+    return match ? element.attribs[match] : undefined;
+  }
+
+  // url(...) or javascript: pointing anywhere but a fragment or inline raster data
+  hasExternalReference(value) {
+    if (/javascript:/i.test(value)) return true;
+
+    const urls = value.match(/url\(\s*['"]?[^'")]*['"]?\s*\)/gi) || [];
+    return urls.some(url => {
+      const target = url.replace(/^url\(\s*['"]?|['"]?\s*\)$/gi, '').trim();
+      return !target.startsWith('#') && !this.safeDataUrl.test(target);
+    });
+  }
+}
+
+module.exports = SvgSanitizer;